@@ -0,0 +1,153 @@
+// Anti-AFK profiles.
+//
+// Each bot picks a profile in its `antiAfk` settings:
+//   { profile: 'look', interval: 45000, jitter: 5000, message: '' }
+// The routine runs every `interval` ms, randomly moved by up to +/- `jitter` ms
+// so it doesn't look like a timer to the server.
+
+const DEFAULT_SETTINGS = {
+    profile: 'walk', // What bots did before profiles existed
+    interval: 45000,
+    jitter: 5000,
+    message: '' // Used by the chat profile
+};
+
+const MIN_INTERVAL = 5000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Hold a control state for a moment
+async function press(bot, control, duration) {
+    bot.setControlState(control, true);
+    await sleep(duration);
+    if (bot.setControlState) {
+        bot.setControlState(control, false);
+    }
+}
+
+function randomLook(bot, yawRange, pitchRange) {
+    return bot.look(
+        bot.entity.yaw + (Math.random() * yawRange - yawRange / 2),
+        bot.entity.pitch + (Math.random() * pitchRange - pitchRange / 2)
+    );
+}
+
+const PROFILES = {
+    disabled: {
+        label: 'Disabled',
+        run: async () => {}
+    },
+
+    // Small random step forward, sometimes jump and look around
+    walk: {
+        label: 'Walk a step',
+        run: async (bot) => {
+            const dx = Math.floor(Math.random() * 3) - 1;
+            const dz = Math.floor(Math.random() * 3) - 1;
+            await bot.lookAt(bot.entity.position.offset(dx, 0, dz));
+
+            const moves = [press(bot, 'forward', 1000)];
+            if (Math.random() > 0.7) {
+                moves.push(press(bot, 'jump', 500));
+            }
+            await Promise.all(moves);
+
+            if (Math.random() > 0.5) {
+                await randomLook(bot, 60, 20);
+            }
+        }
+    },
+
+    // Stay in place and only turn the head
+    look: {
+        label: 'Stand still and look around',
+        run: async (bot) => {
+            for (let i = 0; i < 3; i++) {
+                await randomLook(bot, 120, 30);
+                await sleep(400);
+            }
+        }
+    },
+
+    swing: {
+        label: 'Swing arm',
+        run: async (bot) => {
+            bot.swingArm('right');
+            await sleep(300);
+            bot.swingArm('right');
+        }
+    },
+
+    sneak: {
+        label: 'Toggle sneak',
+        run: async (bot) => {
+            await press(bot, 'sneak', 800);
+        }
+    },
+
+    // Walk a small circle and come back to where the bot started
+    circle: {
+        label: 'Walk a small circle',
+        run: async (bot) => {
+            const origin = bot.entity.position.clone();
+            const radius = 1.5;
+
+            for (let step = 0; step < 8; step++) {
+                const angle = (Math.PI * 2 * step) / 8;
+                await bot.lookAt(origin.offset(Math.cos(angle) * radius, bot.entity.height, Math.sin(angle) * radius));
+                await press(bot, 'forward', 300);
+            }
+
+            // Walk back to the start
+            const deadline = Date.now() + 3000;
+            while (bot.entity && bot.entity.position.distanceTo(origin) > 0.5 && Date.now() < deadline) {
+                await bot.lookAt(origin.offset(0, bot.entity.height, 0));
+                await press(bot, 'forward', 150);
+            }
+        }
+    },
+
+    // Send a chat message or command
+    chat: {
+        label: 'Send a chat message or command',
+        run: async (bot, settings) => {
+            if (settings.message) {
+                bot.chat(settings.message);
+            }
+        }
+    }
+};
+
+// Merge per-bot overrides with the defaults
+function resolveSettings(overrides = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...overrides };
+
+    if (!PROFILES[settings.profile]) {
+        settings.profile = DEFAULT_SETTINGS.profile;
+    }
+    settings.interval = Math.max(parseInt(settings.interval) || DEFAULT_SETTINGS.interval, MIN_INTERVAL);
+    settings.jitter = Math.max(parseInt(settings.jitter) || 0, 0);
+    return settings;
+}
+
+// Delay until the next run
+function nextDelay(settings) {
+    const offset = (Math.random() * 2 - 1) * settings.jitter;
+    return Math.max(MIN_INTERVAL, Math.round(settings.interval + offset));
+}
+
+// Run one round of the profile
+async function runProfile(bot, settings) {
+    if (!bot || !bot.entity) return;
+    await PROFILES[settings.profile].run(bot, settings);
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_SETTINGS,
+    resolveSettings,
+    nextDelay,
+    runProfile
+};
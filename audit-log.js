@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const AUDIT_PATH = path.join(__dirname, 'data', 'audit.jsonl');
+const MAX_PAGE_SIZE = 500;
+
+// Fields whose values must never end up in the audit trail
+const REDACTED_FIELDS = ['password'];
+
+class AuditLog {
+    constructor() {
+        this.writeChain = Promise.resolve(); // Keeps appends in order
+    }
+
+    // Shallow diff of two records: { field: { before, after } }
+    diff(before, after) {
+        const changes = {};
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        keys.forEach(key => {
+            const oldValue = before ? before[key] : undefined;
+            const newValue = after ? after[key] : undefined;
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+            if (REDACTED_FIELDS.includes(key)) {
+                changes[key] = {
+                    before: oldValue === undefined ? null : '[redacted]',
+                    after: newValue === undefined ? null : '[redacted]'
+                };
+            } else {
+                changes[key] = {
+                    before: oldValue === undefined ? null : oldValue,
+                    after: newValue === undefined ? null : newValue
+                };
+            }
+        });
+
+        return changes;
+    }
+
+    // Append an audit record.
+    // entry: { actor, action, target: { type, id }, before, after, details, ip }
+    record(entry) {
+        const record = {
+            id: crypto.randomBytes(6).toString('hex'),
+            timestamp: new Date().toISOString(),
+            actor: entry.actor || 'system',
+            action: entry.action,
+            target: entry.target || null,
+            changes: (entry.before || entry.after) ? this.diff(entry.before, entry.after) : {},
+            ip: entry.ip || null
+        };
+        if (entry.details) {
+            record.details = entry.details;
+        }
+
+        this.writeChain = this.writeChain
+            .then(() => fs.appendFile(AUDIT_PATH, JSON.stringify(record) + '\n', 'utf8'))
+            .catch(error => console.error('Failed to write audit record:', error));
+
+        return record;
+    }
+
+    // Query records, newest first.
+    // filters: actor, action (prefix), targetType, targetId, from, to (Date), limit, offset
+    async query(filters = {}) {
+        await this.writeChain;
+
+        let content;
+        try {
+            content = await fs.readFile(AUDIT_PATH, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') content = '';
+            else throw error;
+        }
+
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+        const from = filters.from ? filters.from.getTime() : null;
+        const to = filters.to ? filters.to.getTime() : null;
+
+        const lines = content.split('\n');
+        const records = [];
+        let total = 0;
+
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (!lines[i]) continue;
+
+            let record;
+            try {
+                record = JSON.parse(lines[i]);
+            } catch (e) {
+                continue;
+            }
+
+            const time = Date.parse(record.timestamp);
+            if (from !== null && time < from) continue;
+            if (to !== null && time > to) continue;
+            if (filters.actor && record.actor !== filters.actor) continue;
+            if (filters.action && !record.action.startsWith(filters.action)) continue;
+            if (filters.targetType && (!record.target || record.target.type !== filters.targetType)) continue;
+            if (filters.targetId && (!record.target || record.target.id !== filters.targetId)) continue;
+
+            if (total >= offset && records.length < limit) {
+                records.push(record);
+            }
+            total++;
+        }
+
+        return {
+            records,
+            total,
+            offset,
+            limit,
+            hasMore: offset + records.length < total
+        };
+    }
+}
+
+// Create singleton instance
+const auditLog = new AuditLog();
+
+module.exports = {
+    record: (entry) => auditLog.record(entry),
+    query: (filters) => auditLog.query(filters)
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// scrypt cost parameters (N must be a power of two)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Stored hashes look like: scrypt$N$r$p$<salt base64>$<hash base64>
+const HASH_PREFIX = 'scrypt$';
+
+function scrypt(password, salt, keyLength, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, options, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(derivedKey);
+        });
+    });
+}
+
+// Check whether a stored value is already a password hash
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(HASH_PREFIX);
+}
+
+// Hash a password with a random salt
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(String(password), salt, KEY_LENGTH, {
+        N: SCRYPT_N,
+        r: SCRYPT_R,
+        p: SCRYPT_P
+    });
+
+    return [
+        'scrypt',
+        SCRYPT_N,
+        SCRYPT_R,
+        SCRYPT_P,
+        salt.toString('base64'),
+        hash.toString('base64')
+    ].join('$');
+}
+
+// Compare a password against a stored value.
+// Plaintext values (from before hashing was introduced) are still accepted
+// so callers can migrate them on first successful login.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return false;
+    }
+
+    if (!isPasswordHash(stored)) {
+        return safeEqual(Buffer.from(password), Buffer.from(stored));
+    }
+
+    const parts = stored.split('$');
+    if (parts.length !== 6) {
+        return false;
+    }
+
+    const [, n, r, p, saltB64, hashB64] = parts;
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+        N: parseInt(n),
+        r: parseInt(r),
+        p: parseInt(p)
+    });
+
+    return safeEqual(actual, expected);
+}
+
+// Constant-time comparison that also handles different lengths
+function safeEqual(a, b) {
+    if (a.length !== b.length) {
+        // Still do the work so timing doesn't reveal the length
+        crypto.timingSafeEqual(a, a);
+        return false;
+    }
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Generate an unguessable session token
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Remove secrets before sending a user record to clients
+function sanitizeUser(user) {
+    const { password, ...safeUser } = user;
+    return safeUser;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    isPasswordHash,
+    generateToken,
+    sanitizeUser
+};
@@ -0,0 +1,266 @@
+// AuthMe style login handling.
+//
+// Instead of blindly sending /register and /login on every join, the flow waits
+// for the server to ask (by matching system messages against patterns) and
+// only then sends the matching command. Player chat is never looked at, so
+// players can't make the bot type its password or run commands. Everything
+// can be overridden per bot through the `authme` field in bots.json.
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    registerCommand: '/register {password} {password}',
+    loginCommand: '/login {password}',
+    captchaCommand: '/captcha {code}',
+    // Patterns are case-insensitive regular expressions
+    registerPatterns: ['/register', 'please register', 'register with'],
+    loginPatterns: ['/login', 'please log ?in', 'log ?in with'],
+    captchaPatterns: ['/captcha (\\S+)'],
+    successPatterns: ['success(ful|fully)? ?(logged|registered|login)', 'logged in success', 'login successful'],
+    failurePatterns: ['wrong password', 'incorrect password', 'invalid password'],
+    alreadyRegisteredPatterns: ['already registered'],
+    maxRetries: 3,
+    retryDelay: 5000, // Ignore repeated prompts for this long after sending a command
+    promptTimeout: 20000 // No prompt within this time means the server has no auth plugin
+};
+
+// Possible values of authState in bot status
+const AUTH_STATES = {
+    DISABLED: 'disabled', // No password or turned off for this bot
+    WAITING: 'waiting', // Joined, waiting for the server to ask
+    REGISTERING: 'registering',
+    LOGGING_IN: 'logging_in',
+    AUTHENTICATED: 'authenticated',
+    NOT_REQUIRED: 'not_required', // Server never asked
+    FAILED: 'failed'
+};
+
+// States in which prompts are still answered (null until the bot spawns)
+const LISTENING_STATES = [null, AUTH_STATES.WAITING, AUTH_STATES.REGISTERING, AUTH_STATES.LOGGING_IN];
+
+function compilePatterns(patterns) {
+    return (patterns || [])
+        .map(pattern => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function matchAny(regexes, text) {
+    for (const regex of regexes) {
+        const match = regex.exec(text);
+        if (match) return match;
+    }
+    return null;
+}
+
+// Merge per-bot overrides with the defaults
+function resolveSettings(overrides = {}) {
+    const settings = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+            settings[key] = overrides[key];
+        }
+    });
+    return settings;
+}
+
+class AuthFlow {
+    // options: { settings, password, log(level, message), onStateChange(state) }
+    constructor(bot, options) {
+        this.bot = bot;
+        this.password = options.password;
+        this.settings = resolveSettings(options.settings);
+        this.log = options.log;
+        this.onStateChange = options.onStateChange;
+
+        this.state = null;
+        this.attempts = 0;
+        this.lastCommand = null;
+        this.lastSentAt = 0;
+        this.lastCaptchaAt = 0;
+        this.promptTimer = null;
+        this.retryTimer = null;
+
+        this.patterns = {
+            register: compilePatterns(this.settings.registerPatterns),
+            login: compilePatterns(this.settings.loginPatterns),
+            captcha: compilePatterns(this.settings.captchaPatterns),
+            success: compilePatterns(this.settings.successPatterns),
+            failure: compilePatterns(this.settings.failurePatterns),
+            alreadyRegistered: compilePatterns(this.settings.alreadyRegisteredPatterns)
+        };
+
+        this.handleMessage = this.handleMessage.bind(this);
+
+        if (!this.password || this.settings.enabled === false) {
+            this.setState(AUTH_STATES.DISABLED);
+        } else {
+            this.bot.on('messagestr', this.handleMessage);
+        }
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.onStateChange(state);
+    }
+
+    // Called once the bot has spawned
+    start() {
+        if (this.state === AUTH_STATES.DISABLED) return;
+
+        if (!this.state) {
+            this.setState(AUTH_STATES.WAITING);
+        }
+
+        this.promptTimer = setTimeout(() => {
+            if (this.state === AUTH_STATES.WAITING) {
+                this.log('info', 'No login prompt from the server, skipping AuthMe');
+                this.setState(AUTH_STATES.NOT_REQUIRED);
+                this.stopListening();
+            }
+        }, this.settings.promptTimeout);
+    }
+
+    // mineflayer 'messagestr': (message, position, jsonMsg, sender)
+    handleMessage(message, position, jsonMsg, sender) {
+        // Prompts come from the server, anything a player says is ignored
+        if (position === 'chat' || sender) return;
+
+        const text = String(message);
+
+        if (!LISTENING_STATES.includes(this.state)) return;
+
+        if (matchAny(this.patterns.success, text)) {
+            this.clearTimers();
+            this.log('info', 'AuthMe authentication successful');
+            this.setState(AUTH_STATES.AUTHENTICATED);
+            this.stopListening();
+            return;
+        }
+
+        if (matchAny(this.patterns.failure, text)) {
+            this.log('warn', 'AuthMe rejected the password');
+            this.retry();
+            return;
+        }
+
+        const captcha = matchAny(this.patterns.captcha, text);
+        if (captcha && captcha[1]) {
+            // Repeated captcha prompts get the same retry window as login prompts
+            if (Date.now() - this.lastCaptchaAt < this.settings.retryDelay) return;
+            this.lastCaptchaAt = Date.now();
+            this.send(this.settings.captchaCommand.replace(/\{code\}/g, captcha[1]), null);
+            this.log('info', 'Sent AuthMe captcha');
+            return;
+        }
+
+        if (matchAny(this.patterns.alreadyRegistered, text)) {
+            this.send(this.fill(this.settings.loginCommand), AUTH_STATES.LOGGING_IN);
+            return;
+        }
+
+        // Servers repeat their prompt every few seconds; only answer once per retry window
+        if (this.retryTimer || Date.now() - this.lastSentAt < this.settings.retryDelay) {
+            return;
+        }
+
+        if (matchAny(this.patterns.register, text)) {
+            this.prompted(this.fill(this.settings.registerCommand), AUTH_STATES.REGISTERING);
+        } else if (matchAny(this.patterns.login, text)) {
+            this.prompted(this.fill(this.settings.loginCommand), AUTH_STATES.LOGGING_IN);
+        }
+    }
+
+    fill(template) {
+        return template.replace(/\{password\}/g, this.password);
+    }
+
+    // The server asked for a command; a repeated ask counts as a failed attempt
+    prompted(command, state) {
+        if (this.lastCommand) {
+            this.attempts++;
+            if (this.attempts > this.settings.maxRetries) {
+                this.fail();
+                return;
+            }
+        }
+        this.send(command, state);
+    }
+
+    // Send a command; state is null for helper commands like the captcha
+    send(command, state) {
+        if (this.promptTimer) {
+            clearTimeout(this.promptTimer);
+            this.promptTimer = null;
+        }
+
+        try {
+            this.bot.chat(command);
+        } catch (error) {
+            this.log('error', `Failed to send AuthMe command: ${error.message}`);
+            return;
+        }
+        this.lastSentAt = Date.now();
+
+        if (state) {
+            this.lastCommand = command;
+            this.setState(state);
+            this.log('info', state === AUTH_STATES.REGISTERING ? 'Sent AuthMe registration command' : 'Sent AuthMe login command');
+        }
+    }
+
+    retry() {
+        this.attempts++;
+        if (this.attempts > this.settings.maxRetries || !this.lastCommand) {
+            this.fail();
+            return;
+        }
+
+        this.log('info', `Retrying AuthMe in ${Math.round(this.settings.retryDelay / 1000)}s (attempt ${this.attempts}/${this.settings.maxRetries})`);
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.send(this.lastCommand, this.state);
+        }, this.settings.retryDelay);
+    }
+
+    fail() {
+        this.clearTimers();
+        this.log('error', 'AuthMe authentication failed, check the bot password and AuthMe settings');
+        this.setState(AUTH_STATES.FAILED);
+        this.stopListening();
+    }
+
+    clearTimers() {
+        if (this.promptTimer) {
+            clearTimeout(this.promptTimer);
+            this.promptTimer = null;
+        }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    stopListening() {
+        this.bot.removeListener('messagestr', this.handleMessage);
+    }
+
+    // Stop listening (bot disconnected)
+    destroy() {
+        this.clearTimers();
+        this.stopListening();
+    }
+}
+
+module.exports = {
+    AuthFlow,
+    AUTH_STATES,
+    DEFAULT_SETTINGS,
+    resolveSettings
+};
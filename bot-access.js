@@ -0,0 +1,76 @@
+// Per-bot access control.
+//
+// A bot may carry an owner and an access list:
+//   owner: 'username'
+//   access: {
+//       restricted: true,
+//       view:    { users: [], roles: [] },
+//       operate: { users: [], roles: [] },  // start/stop/chat/quick commands
+//       edit:    { users: [], roles: [] }   // change settings, delete
+//   }
+// Each level includes the ones below it. Bots that are not restricted stay
+// open to everyone with the generic permission, like before ACLs existed.
+
+const ACCESS_LEVELS = ['view', 'operate', 'edit'];
+
+function emptyList() {
+    return { users: [], roles: [] };
+}
+
+function cleanNames(values) {
+    if (!Array.isArray(values)) return [];
+    return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+}
+
+// Fill in missing fields and drop anything unexpected; null counts as missing
+function normalizeAccess(access) {
+    access = access || {};
+    const normalized = { restricted: !!access.restricted };
+    ACCESS_LEVELS.forEach(level => {
+        const list = access[level] || emptyList();
+        normalized[level] = {
+            users: cleanNames(list.users),
+            roles: cleanNames(list.roles)
+        };
+    });
+    return normalized;
+}
+
+function isAdmin(user) {
+    return user.permissions.includes('*');
+}
+
+// Highest access level the user has on a bot, or null
+function getAccessLevel(bot, user) {
+    if (isAdmin(user) || bot.owner === user.username) return 'edit';
+
+    const access = normalizeAccess(bot.access);
+    if (!access.restricted) return 'edit';
+
+    for (let i = ACCESS_LEVELS.length - 1; i >= 0; i--) {
+        const list = access[ACCESS_LEVELS[i]];
+        if (list.users.includes(user.username) || list.roles.includes(user.role)) {
+            return ACCESS_LEVELS[i];
+        }
+    }
+    return null;
+}
+
+// Whether the user has at least the given level on a bot
+function canAccess(bot, user, level) {
+    const granted = getAccessLevel(bot, user);
+    return granted !== null && ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(level);
+}
+
+// Only the owner and admins may change who else has access
+function canManageAccess(bot, user) {
+    return isAdmin(user) || (!!bot.owner && bot.owner === user.username);
+}
+
+module.exports = {
+    ACCESS_LEVELS,
+    normalizeAccess,
+    getAccessLevel,
+    canAccess,
+    canManageAccess
+};
@@ -1,12 +1,53 @@
+const EventEmitter = require('events');
 const mineflayer = require('mineflayer');
 const { Vec3 } = require('vec3');
-const fs = require('fs').promises;
 const path = require('path');
-
-const BOTS_PATH = path.join(__dirname, 'data', 'bots.json');
-
-class BotManager {
+const logStore = require('./log-store');
+const metricsStore = require('./metrics-store');
+const secrets = require('./secrets');
+const { AuthFlow } = require('./authme');
+const antiAfk = require('./anti-afk');
+const reconnectPolicy = require('./reconnect-policy');
+const { Telemetry } = require('./telemetry');
+const { ChatCommands } = require('./chat-commands');
+const { MacroRun } = require('./macro-runner');
+const storage = require('./storage');
+
+const BOTS_PATH = storage.define(path.join(__dirname, 'data', 'bots.json'), { defaultValue: [] });
+
+// Connection settings that only take effect on the next connect
+const RESTART_FIELDS = ['server', 'port', 'username', 'password', 'auth', 'version', 'authme'];
+const DEFAULT_AUTOSTART_STAGGER = 5000; // Delay between bots started on boot
+const STABLE_ONLINE_PERIOD = 60000; // Online this long before the reconnect backoff resets
+const DEFAULT_SAMPLE_INTERVAL = 60000; // How often status is written to the metrics store
+
+// Connection state machine: state -> states it may move to
+const STATE_TRANSITIONS = {
+    idle: ['connecting', 'stopped'],
+    connecting: ['authenticating', 'online', 'backoff', 'failed', 'stopped'],
+    authenticating: ['online', 'backoff', 'failed', 'stopped'],
+    online: ['backoff', 'failed', 'stopped'],
+    backoff: ['connecting', 'failed', 'stopped'],
+    stopped: ['connecting'],
+    failed: ['connecting', 'stopped']
+};
+
+// The coarse `status` the UI has always used, derived from the state
+const STATUS_FOR_STATE = {
+    idle: 'offline',
+    connecting: 'connecting',
+    authenticating: 'connecting',
+    online: 'online',
+    backoff: 'reconnecting',
+    stopped: 'offline',
+    failed: 'error'
+};
+
+// Emits 'bot-event' ({ type, botId, botName, data, timestamp }) for integrations like webhooks:
+// status, kicked, death, mention, player_join, player_leave, chat
+class BotManager extends EventEmitter {
     constructor() {
+        super();
         this.bots = new Map(); // id -> bot instance
         this.botData = new Map(); // id -> bot configuration
         this.botStatus = new Map(); // id -> status object
@@ -15,40 +56,130 @@ class BotManager {
         this.reconnectTimers = new Map();
         this.messageQueue = new Map(); // id -> array of queued messages
         this.reconnectAttempts = new Map(); // id -> number of reconnect attempts
+        this.firstFailureAt = new Map(); // id -> time of the first failure since the bot was last online
+        this.autoStartTimers = new Map(); // id -> pending boot start
+        this.authFlows = new Map(); // id -> AuthFlow for the current connection
+        this.stableTimers = new Map(); // id -> timer that resets the backoff once online long enough
+        this.telemetry = new Map(); // id -> Telemetry for the current connection
+        this.macros = new Map(); // id -> running MacroRun
+        this.sampleTimer = null;
         
         this.loadBots();
     }
 
     async loadBots() {
         try {
-            const data = await fs.readFile(BOTS_PATH, 'utf8');
-            const bots = JSON.parse(data);
+            const bots = await storage.read(BOTS_PATH);
             
-            bots.forEach(bot => {
-                this.botData.set(bot.id, bot);
-                this.botStatus.set(bot.id, {
-                    status: 'offline',
-                    connectedSince: null,
-                    lastError: null,
-                    stats: {}
-                });
-                this.messageQueue.set(bot.id, []);
-                this.reconnectAttempts.set(bot.id, 0);
-            });
+            bots.forEach(bot => this.initBot(bot));
             
         } catch (error) {
             console.error('Failed to load bots:', error);
         }
     }
 
+    // Track a bot's config and give it a status entry and message queue
+    initBot(botConfig) {
+        const botId = botConfig.id;
+        this.botData.set(botId, botConfig);
+        
+        if (!this.botStatus.has(botId)) {
+            this.botStatus.set(botId, {
+                state: 'idle',
+                status: 'offline',
+                nextRetryAt: null,
+                connectedSince: null,
+                lastError: null,
+                stats: {}
+            });
+        }
+        if (!this.messageQueue.has(botId)) {
+            this.messageQueue.set(botId, []);
+        }
+        if (!this.reconnectAttempts.has(botId)) {
+            this.reconnectAttempts.set(botId, 0);
+        }
+    }
+
+    // Get the current config of a bot
+    getBotConfig(botId) {
+        return this.botData.get(botId) || null;
+    }
+
+    // Hook: a bot was added to bots.json
+    addBot(botConfig) {
+        this.initBot(botConfig);
+    }
+
+    // Hook: a bot was changed in bots.json
+    updateBot(botConfig) {
+        const botId = botConfig.id;
+        this.initBot(botConfig);
+        
+        // A disabled bot must not come back on its own
+        if (botConfig.enabled === false) {
+            const reconnectTimer = this.reconnectTimers.get(botId);
+            if (reconnectTimer) {
+                clearTimeout(reconnectTimer);
+                this.reconnectTimers.delete(botId);
+                this.emitLog(botId, 'info', 'Bot was disabled, cancelled pending auto-reconnect');
+            }
+        }
+        
+        // A running bot keeps the settings it connected with until restarted
+        const bot = this.bots.get(botId);
+        if (bot) {
+            // Anti-AFK changes apply right away
+            if (bot.entity && JSON.stringify(bot.botConfig.antiAfk) !== JSON.stringify(botConfig.antiAfk)) {
+                bot.botConfig = { ...bot.botConfig, antiAfk: botConfig.antiAfk };
+                this.startKeepAlive(botId);
+                this.emitLog(botId, 'info', `Anti-AFK profile set to ${antiAfk.resolveSettings(botConfig.antiAfk).profile}`);
+            }
+            
+            const pendingChanges = RESTART_FIELDS.filter(field => 
+                JSON.stringify(bot.botConfig[field]) !== JSON.stringify(botConfig[field])
+            );
+            if (pendingChanges.length > 0) {
+                this.emitLog(botId, 'info', `Connection settings changed (${pendingChanges.join(', ')}), restart the bot to apply them`);
+            }
+            this.updateStatus(botId, { pendingRestart: pendingChanges.length > 0, pendingChanges });
+        }
+    }
+
+    // Hook: a bot was removed from bots.json
+    removeBot(botId) {
+        this.stopBot(botId);
+        this.botData.delete(botId);
+        this.botStatus.delete(botId);
+        this.messageQueue.delete(botId);
+        this.reconnectAttempts.delete(botId);
+        this.firstFailureAt.delete(botId);
+    }
+
     setSocketIO(io) {
         this.io = io;
     }
 
-    // Start a specific bot
-    async startBot(botConfig, io = this.io) {
+    // Socket.IO room for a bot's status updates (sockets allowed to view bots)
+    statusRoom(botId) {
+        return `bot-status:${botId}`;
+    }
+
+    // Socket.IO room for a bot's logs and chat (sockets subscribed to its console)
+    consoleRoom(botId) {
+        return `bot-console:${botId}`;
+    }
+
+    // Start a specific bot.
+    // Manual starts get a fresh reconnect budget, automatic reconnects keep counting
+    async startBot(botConfig, io = this.io, isReconnect = false) {
         const botId = botConfig.id;
         
+        if (!isReconnect) {
+            this.reconnectAttempts.set(botId, 0);
+            this.firstFailureAt.delete(botId);
+        }
+        
         // Clear any pending reconnect timer
         const reconnectTimer = this.reconnectTimers.get(botId);
         if (reconnectTimer) {
@@ -62,15 +193,24 @@ class BotManager {
             return;
         }
 
+        this.initBot(botConfig);
         this.emitLog(botId, 'info', `Starting bot ${botConfig.name} (${botConfig.username})`);
-        this.updateStatus(botId, { status: 'connecting' });
+        this.setState(botId, 'connecting', { 
+            nextRetryAt: null, 
+            authState: null, 
+            pendingRestart: false, 
+            pendingChanges: [] 
+        });
 
         try {
+            // Secrets are stored encrypted and only decrypted here
+            const password = botConfig.password ? secrets.decrypt(botConfig.password) : undefined;
+            
             const bot = mineflayer.createBot({
                 host: botConfig.server,
                 port: botConfig.port,
                 username: botConfig.username,
-                password: botConfig.password || undefined,
+                password: password,
                 auth: botConfig.auth || 'offline',
                 version: botConfig.version,
                 hideErrors: false,
@@ -86,14 +226,44 @@ class BotManager {
             // Reset manually stopped flag when starting
             bot.manuallyStopped = false;
 
-            // Reset reconnect attempts on successful start
-            this.reconnectAttempts.set(botId, 0);
+            // Answer AuthMe prompts only when the server asks for them
+            const authFlow = new AuthFlow(bot, {
+                settings: botConfig.authme,
+                password,
+                log: (level, message) => this.emitLog(botId, level, message),
+                onStateChange: (authState) => this.handleAuthState(botId, bot, authState)
+            });
+            this.authFlows.set(botId, authFlow);
 
+            // Stats are sampled and pushed on a timer instead of on every event
+            const telemetry = new Telemetry(bot, {
+                onUpdate: (stats) => this.updateStatus(botId, { stats })
+            });
+            this.telemetry.set(botId, telemetry);
+
+            // Settings are read on every message so edits apply without a restart
+            const chatCommands = new ChatCommands(bot, {
+                getSettings: () => (this.getBotConfig(botId) || botConfig).chatCommands,
+                getStatus: () => this.getBotStatus(botId),
+                send: (message) => this.sendMessage(botId, message),
+                runQuickCommand: (qc, args, username) => this.runMacro(botId, qc, args, username),
+                log: (level, message) => this.emitLog(botId, level, message)
+            });
+            
             // Bot event handlers
             bot.once('spawn', () => {
+                // Only a connection that stays up resets the reconnect backoff
+                this.stableTimers.set(botId, setTimeout(() => {
+                    this.stableTimers.delete(botId);
+                    this.reconnectAttempts.set(botId, 0);
+                    this.firstFailureAt.delete(botId);
+                }, STABLE_ONLINE_PERIOD));
+                
                 this.emitLog(botId, 'info', `Bot spawned as ${bot.username}`);
-                this.updateStatus(botId, { 
-                    status: 'online',
+                
+                // Bots with an AuthMe password are not usable until they have logged in
+                const waitForAuth = authFlow.state !== 'disabled';
+                this.setState(botId, waitForAuth ? 'authenticating' : 'online', { 
                     connectedSince: new Date().toISOString(),
                     world: bot.game.dimension,
                     dimension: bot.game.dimension,
@@ -101,21 +271,9 @@ class BotManager {
                 });
 
                 // Handle AuthMe registration/login
-                setTimeout(() => {
-                    if (botConfig.password) {
-                        try {
-                            bot.chat(`/register ${botConfig.password} ${botConfig.password}`);
-                            this.emitLog(botId, 'info', 'Sent AuthMe registration command');
-                        } catch(e) {}
-                        
-                        setTimeout(() => {
-                            try {
-                                bot.chat(`/login ${botConfig.password}`);
-                                this.emitLog(botId, 'info', 'Sent AuthMe login command');
-                            } catch(e) {}
-                        }, 2000);
-                    }
-                }, 5000);
+                authFlow.start();
+
+                telemetry.start();
 
                 // Start keep-alive loop
                 this.startKeepAlive(botId);
@@ -129,17 +287,23 @@ class BotManager {
                 
                 // Always log chat messages
                 this.emitChat(botId, username, message);
+                this.emitEvent(botId, 'chat', { username, message });
                 
-                // Check for commands or mentions
-                if (message.toLowerCase().includes(bot.username.toLowerCase()) || 
-                    message.startsWith('!') || 
-                    message.startsWith('@')) {
+                // Answer configured commands, log anything else aimed at the bot.
+                // Our other bots are ignored so their replies can't trigger each other
+                const handled = !this.isBotUsername(username) && chatCommands.handle(username, message);
+                const mentioned = message.toLowerCase().includes(bot.username.toLowerCase());
+                if (!handled && (mentioned || message.startsWith('!') || message.startsWith('@'))) {
                     this.emitLog(botId, 'info', `Message mention/command from ${username}: ${message}`);
                 }
+                if (mentioned) {
+                    this.emitEvent(botId, 'mention', { username, message });
+                }
             });
 
             bot.on('message', (jsonMsg, position) => {
                 const text = jsonMsg.toString();
+                this.emit('bot-message', { botId, text, position }); // For macros waiting on chat
                 
                 // Always log ALL messages (system, chat, action, etc.)
                 if (position === 'chat') {
@@ -155,76 +319,53 @@ class BotManager {
 
             bot.on('playerJoined', (player) => {
                 this.emitLog(botId, 'info', `Player joined: ${player.username}`);
+                this.emitEvent(botId, 'player_join', { username: player.username });
             });
 
             bot.on('playerLeft', (player) => {
                 this.emitLog(botId, 'info', `Player left: ${player.username}`);
+                this.emitEvent(botId, 'player_leave', { username: player.username });
             });
 
             bot.on('death', () => {
                 this.emitLog(botId, 'warn', 'Bot died');
+                this.emitEvent(botId, 'death', { position: bot.entity ? bot.entity.position : null });
             });
 
             bot.on('health', () => {
                 if (bot.health <= 10) {
                     this.emitLog(botId, 'warn', `Low health: ${bot.health}/20`);
                 }
+                this.emitEvent(botId, 'health', { health: bot.health, food: bot.food });
+            });
+            
+            // The server respawns the bot when it changes dimension
+            let dimension = null;
+            bot.on('spawn', () => {
+                const from = dimension;
+                dimension = bot.game.dimension;
+                if (from && from !== dimension) {
+                    this.emitLog(botId, 'info', `Changed dimension: ${from} -> ${dimension}`);
+                    this.emitEvent(botId, 'dimension_change', { from, to: dimension });
+                }
             });
 
+            // A disconnect usually fires several of kicked/error/end, the first one decides
             bot.on('kicked', (reason) => {
-                this.emitLog(botId, 'warn', `Kicked: ${reason}`);
-                this.updateStatus(botId, { 
-                    status: 'offline',
-                    lastError: `Kicked: ${reason}`
-                });
-                
-                // Only auto-reconnect if not manually stopped
-                if (botConfig.enabled !== false && !bot.manuallyStopped) {
-                    this.scheduleReconnect(botId, botConfig);
-                }
-                
-                this.cleanupBot(botId);
+                const text = reconnectPolicy.reasonText(reason);
+                this.emitLog(botId, 'warn', `Kicked: ${text}`);
+                this.emitEvent(botId, 'kicked', { reason: text, category: reconnectPolicy.classify(reason).category });
+                this.handleDisconnect(botId, bot, reason, `Kicked: ${text}`);
             });
 
             bot.on('error', (err) => {
                 this.emitLog(botId, 'error', `Error: ${err.message || err}`);
-                this.updateStatus(botId, { 
-                    status: 'error',
-                    lastError: err.message
-                });
-                
-                // Only auto-reconnect if not manually stopped
-                if (botConfig.enabled !== false && !bot.manuallyStopped) {
-                    this.scheduleReconnect(botId, botConfig);
-                }
-                
-                this.cleanupBot(botId);
+                this.handleDisconnect(botId, bot, err.message || String(err), err.message || String(err));
             });
 
             bot.on('end', (reason) => {
                 this.emitLog(botId, 'warn', `Bot disconnected: ${reason || 'No reason provided'}`);
-                this.updateStatus(botId, { status: 'offline' });
-                
-                // Only auto-reconnect if not manually stopped
-                if (botConfig.enabled !== false && !bot.manuallyStopped) {
-                    this.scheduleReconnect(botId, botConfig);
-                }
-                
-                this.cleanupBot(botId);
-            });
-
-            // Collect stats
-            bot.on('move', () => {
-                const stats = this.botStatus.get(botId).stats || {};
-                stats.position = bot.entity.position;
-                stats.world = bot.game.dimension;
-                stats.dimension = bot.game.dimension;
-                stats.health = bot.health;
-                stats.food = bot.food;
-                if (bot.player && bot.player.ping) {
-                    stats.ping = bot.player.ping;
-                }
-                this.updateStatus(botId, { stats });
+                this.handleDisconnect(botId, bot, reason, null);
             });
 
             // Listen for entity spawns (players, mobs, etc.)
@@ -242,23 +383,139 @@ class BotManager {
 
         } catch (error) {
             this.emitLog(botId, 'error', `Failed to create bot: ${error.message}`);
-            this.updateStatus(botId, { 
-                status: 'error',
-                lastError: error.message
-            });
+            this.updateStatus(botId, { lastError: error.message });
             
             // Only auto-reconnect if bot is enabled
-            if (botConfig.enabled !== false) {
-                this.scheduleReconnect(botId, botConfig);
+            this.scheduleReconnect(botId, error.message);
+        }
+    }
+
+    // Move a bot to a new connection state; invalid transitions are ignored
+    setState(botId, state, updates = {}) {
+        const current = this.getBotStatus(botId).state || 'idle';
+        if (current !== state && !STATE_TRANSITIONS[current].includes(state)) {
+            console.warn(`[${botId}] Ignoring state change ${current} -> ${state}`);
+            return false;
+        }
+        this.updateStatus(botId, { ...updates, state, status: STATUS_FOR_STATE[state] });
+        if (current !== state) {
+            const status = this.getBotStatus(botId);
+            metricsStore.event(botId, state, updates.lastError);
+            this.emitEvent(botId, 'status', { 
+                from: current, 
+                to: state, 
+                lastError: status.lastError || null, 
+                nextRetryAt: status.nextRetryAt || null 
+            });
+        }
+        return true;
+    }
+
+    // Notify integrations (webhooks etc.) about something that happened to a bot
+    emitEvent(botId, type, data = {}) {
+        const config = this.botData.get(botId);
+        this.emit('bot-event', {
+            type,
+            botId,
+            botName: config ? config.name : botId,
+            data,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Write every bot's status to the metrics store on an interval
+    startSampling(interval = DEFAULT_SAMPLE_INTERVAL) {
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+        }
+        this.sampleTimer = setInterval(() => {
+            this.botData.forEach((config, botId) => metricsStore.sample(botId, this.getBotStatus(botId)));
+        }, Math.max(parseInt(interval) || DEFAULT_SAMPLE_INTERVAL, 5000));
+        this.sampleTimer.unref();
+    }
+
+    // Called by kicked/error/end; only the first call for a connection does anything
+    handleDisconnect(botId, bot, reason, lastError) {
+        if (bot.disconnectHandled) return;
+        bot.disconnectHandled = true;
+        
+        // Events from a connection that was already stopped or replaced
+        if (this.bots.get(botId) !== bot) return;
+        
+        this.cleanupBot(botId);
+        if (lastError) {
+            this.updateStatus(botId, { lastError });
+        }
+        
+        if (bot.manuallyStopped) {
+            this.setState(botId, 'stopped', { nextRetryAt: null });
+            return;
+        }
+        this.scheduleReconnect(botId, reason);
+    }
+
+    // Follow the AuthMe flow of the current connection
+    handleAuthState(botId, bot, authState) {
+        this.updateStatus(botId, { authState });
+        if (this.bots.get(botId) !== bot) return;
+        
+        if (authState === 'authenticated' || authState === 'not_required') {
+            if (this.getBotStatus(botId).state === 'authenticating') {
+                this.setState(botId, 'online');
             }
+        } else if (authState === 'failed') {
+            // Reconnecting with a wrong password only gets the account locked
+            bot.manuallyStopped = true;
+            bot.disconnectHandled = true;
+            this.cleanupBot(botId);
+            try {
+                bot.quit('AuthMe login failed');
+            } catch (e) {}
+            this.setState(botId, 'failed', { lastError: 'AuthMe login failed', nextRetryAt: null });
         }
     }
 
-    // Schedule auto-reconnect (only for enabled bots)
-    scheduleReconnect(botId, botConfig) {
-        // Check if bot is enabled for auto-reconnect
+    // Whether a bot should be launched when the panel boots
+    shouldAutoStart(botConfig) {
+        if (botConfig.enabled === false || botConfig.autoStart === false) {
+            return false;
+        }
+        // Bots that were stopped by hand stay stopped
+        return botConfig.desiredState !== 'stopped';
+    }
+
+    // Start every bot that should be running, spaced out so servers don't throttle the connections
+    autoStartBots(stagger = DEFAULT_AUTOSTART_STAGGER) {
+        const bots = Array.from(this.botData.values()).filter(botConfig => this.shouldAutoStart(botConfig));
+        if (bots.length === 0) return 0;
+        
+        this.emitLog('system', 'info', `Auto-starting ${bots.length} bot(s), ${Math.round(stagger / 1000)}s apart`);
+        
+        bots.forEach((botConfig, index) => {
+            const timer = setTimeout(() => {
+                this.autoStartTimers.delete(botConfig.id);
+                
+                // The bot may have been edited, deleted or started in the meantime
+                const latestConfig = this.getBotConfig(botConfig.id);
+                if (!latestConfig || !this.shouldAutoStart(latestConfig) || this.bots.has(latestConfig.id)) {
+                    return;
+                }
+                this.startBot(latestConfig, this.io);
+            }, stagger * index);
+            
+            this.autoStartTimers.set(botConfig.id, timer);
+        });
+        
+        return bots.length;
+    }
+
+    // Schedule auto-reconnect (only for enabled bots), based on why the bot disconnected
+    scheduleReconnect(botId, reason) {
+        // Check the current config, it may have been edited since the bot started
+        const botConfig = this.getBotConfig(botId);
         if (!botConfig || botConfig.enabled === false) {
             this.emitLog(botId, 'info', 'Bot is disabled, not auto-reconnecting');
+            this.setState(botId, 'stopped', { nextRetryAt: null });
             return;
         }
         
@@ -266,6 +523,7 @@ class BotManager {
         const bot = this.bots.get(botId);
         if (bot && bot.manuallyStopped) {
             this.emitLog(botId, 'info', 'Bot was manually stopped, not auto-reconnecting');
+            this.setState(botId, 'stopped', { nextRetryAt: null });
             return;
         }
 
@@ -278,16 +536,45 @@ class BotManager {
         // Increment reconnect attempts
         const attempts = (this.reconnectAttempts.get(botId) || 0) + 1;
         this.reconnectAttempts.set(botId, attempts);
+        if (!this.firstFailureAt.has(botId)) {
+            this.firstFailureAt.set(botId, Date.now());
+        }
         
-        // Schedule reconnect with exponential backoff (max 5 minutes)
-        const delay = Math.min(300000, 5000 * Math.pow(1.5, attempts));
+        const classification = reconnectPolicy.classify(reason);
+        const decision = reconnectPolicy.decide(
+            reconnectPolicy.resolvePolicy(botConfig.reconnect),
+            { attempts, firstFailureAt: this.firstFailureAt.get(botId) },
+            classification
+        );
         
-        this.emitLog(botId, 'info', `Scheduled auto-reconnect in ${Math.round(delay/1000)} seconds (attempt ${attempts})`);
+        if (!decision.retry) {
+            const lastError = classification.text ? 
+                `${classification.text} (${decision.reason})` : `Not reconnecting: ${decision.reason}`;
+            this.emitLog(botId, 'warn', `Not auto-reconnecting: ${decision.reason}`);
+            this.setState(botId, 'failed', { 
+                lastError, 
+                nextRetryAt: null, 
+                disconnectCategory: classification.category 
+            });
+            return;
+        }
+        
+        const retryIn = `reconnecting in ${Math.round(decision.delay/1000)}s, ${decision.reason}`;
+        this.emitLog(botId, 'info', `Scheduled auto-reconnect in ${Math.round(decision.delay/1000)} seconds (attempt ${attempts}, ${decision.reason})`);
+        this.setState(botId, 'backoff', { 
+            lastError: classification.text ? `${classification.text} (${retryIn})` : `Disconnected (${retryIn})`,
+            nextRetryAt: new Date(Date.now() + decision.delay).toISOString(),
+            disconnectCategory: classification.category
+        });
         
         const timer = setTimeout(() => {
+            this.reconnectTimers.delete(botId);
+            const latestConfig = this.getBotConfig(botId);
+            if (!latestConfig) return; // Bot was deleted
+            
             this.emitLog(botId, 'info', 'Attempting to auto-reconnect...');
-            this.startBot(botConfig, this.io);
-        }, delay);
+            this.startBot(latestConfig, this.io, true);
+        }, decision.delay);
         
         this.reconnectTimers.set(botId, timer);
     }
@@ -296,6 +583,13 @@ class BotManager {
     stopBot(botId) {
         const bot = this.bots.get(botId);
         
+        // Cancel a boot start that hasn't happened yet
+        const autoStartTimer = this.autoStartTimers.get(botId);
+        if (autoStartTimer) {
+            clearTimeout(autoStartTimer);
+            this.autoStartTimers.delete(botId);
+        }
+        
         // Clear any pending reconnect timer
         const reconnectTimer = this.reconnectTimers.get(botId);
         if (reconnectTimer) {
@@ -314,14 +608,25 @@ class BotManager {
             
             bot.quit('Stopped by user');
             this.cleanupBot(botId, false); // false = don't schedule reconnect
-        } else {
-            this.updateStatus(botId, { status: 'offline' });
         }
+        
+        // The next start picks up the latest settings anyway
+        this.setState(botId, 'stopped', { 
+            nextRetryAt: null, 
+            pendingRestart: false, 
+            pendingChanges: [] 
+        });
     }
 
     // Stop all bots
     shutdownAll() {
         this.emitLog('system', 'info', 'Shutting down all bots...');
+        this.autoStartTimers.forEach(timer => clearTimeout(timer));
+        this.autoStartTimers.clear();
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+            this.sampleTimer = null;
+        }
         this.bots.forEach((bot, botId) => {
             try {
                 bot.quit('System shutdown');
@@ -386,9 +691,78 @@ class BotManager {
         this.messageQueue.set(botId, []);
     }
 
+    // Run the steps of a quick command; only one macro runs per bot at a time.
+    // Returns the progress of the new run, or null if another macro is running
+    runMacro(botId, qc, args = {}, user = null) {
+        if (this.macros.has(botId)) return null;
+
+        const run = new MacroRun(qc, {
+            botConfig: this.getBotConfig(botId),
+            args,
+            user,
+            send: (message) => this.sendMessage(botId, message),
+            onMessage: (listener) => {
+                const handler = (message) => {
+                    if (message.botId === botId) listener(message.text);
+                };
+                this.on('bot-message', handler);
+                return () => this.off('bot-message', handler);
+            },
+            onProgress: (macro) => this.updateStatus(botId, { macro })
+        });
+        this.macros.set(botId, run);
+        this.emitLog(botId, 'info', `Running quick command ${qc.name}${user ? ` (started by ${user})` : ''}`);
+
+        run.run()
+            .catch(error => {
+                run.report({ state: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+                return run.progress;
+            })
+            .then(progress => {
+                if (this.macros.get(botId) === run) {
+                    this.macros.delete(botId);
+                }
+                if (progress.state === 'failed') {
+                    this.emitLog(botId, 'warn', `Quick command ${qc.name} failed: ${progress.error}`);
+                } else if (progress.state === 'done') {
+                    this.emitLog(botId, 'info', `Quick command ${qc.name} finished`);
+                }
+            });
+
+        return run.progress;
+    }
+
+    // Stop the running macro of a bot
+    cancelMacro(botId, reason = 'Cancelled') {
+        const run = this.macros.get(botId);
+        if (!run) return false;
+
+        this.macros.delete(botId);
+        run.cancel(reason);
+        this.emitLog(botId, 'info', `Quick command ${run.qc.name} stopped: ${reason}`);
+        return true;
+    }
+
     // Get bot status
     getBotStatus(botId) {
-        return this.botStatus.get(botId) || { status: 'offline' };
+        return this.botStatus.get(botId) || { state: 'idle', status: 'offline' };
+    }
+
+    // Whether a player name belongs to one of our own bots
+    isBotUsername(username) {
+        const name = String(username).toLowerCase();
+        for (const config of this.botData.values()) {
+            if (config.username && config.username.toLowerCase() === name) return true;
+        }
+        return false;
+    }
+
+    // Reconnect and queue counters, for monitoring
+    getConnectionInfo(botId) {
+        return {
+            reconnectAttempts: this.reconnectAttempts.get(botId) || 0,
+            queuedMessages: (this.messageQueue.get(botId) || []).length
+        };
     }
 
     // Get all bot statuses
@@ -408,38 +782,51 @@ class BotManager {
 
     // Update bot status
     updateStatus(botId, updates) {
+        // Ignore late events from bots that were deleted
+        if (!this.botData.has(botId)) return;
+        
         const currentStatus = this.botStatus.get(botId) || { status: 'offline', stats: {} };
         const newStatus = { ...currentStatus, ...updates };
         this.botStatus.set(botId, newStatus);
         
         // Emit status update via Socket.IO
         if (this.io) {
-            this.io.emit('bot-status', { botId, ...newStatus });
+            this.io.to(this.statusRoom(botId)).emit('bot-status', { botId, ...newStatus });
         }
     }
 
     // Emit log message
     emitLog(botId, level, message) {
+        const timestamp = new Date().toISOString();
+        // Never let login commands typed through the console leak their password
+        message = secrets.maskAuthCommands(message);
         console.log(`[${botId}] ${level}: ${message}`);
         
+        // Persist so the console can be backfilled later
+        logStore.append(botId, { type: 'log', level, message, timestamp });
+        
         if (this.io) {
-            this.io.emit('bot-log', {
+            this.io.to(this.consoleRoom(botId)).emit('bot-log', {
                 botId,
                 level,
                 message,
-                timestamp: new Date().toISOString()
+                timestamp
             });
         }
     }
 
     // Emit chat message
     emitChat(botId, username, message) {
+        const timestamp = new Date().toISOString();
+        
+        logStore.append(botId, { type: 'chat', level: 'chat', username, message, timestamp });
+        
         if (this.io) {
-            this.io.emit('bot-chat', {
+            this.io.to(this.consoleRoom(botId)).emit('bot-chat', {
                 botId,
                 username,
                 message,
-                timestamp: new Date().toISOString()
+                timestamp
             });
         }
     }
@@ -451,13 +838,31 @@ class BotManager {
             this.bots.delete(botId);
         }
         
-        // Clear keep-alive timer
-        const keepAliveTimer = this.keepAliveTimers.get(botId);
-        if (keepAliveTimer) {
-            clearInterval(keepAliveTimer);
-            this.keepAliveTimers.delete(botId);
+        const stableTimer = this.stableTimers.get(botId);
+        if (stableTimer) {
+            clearTimeout(stableTimer);
+            this.stableTimers.delete(botId);
         }
         
+        const telemetry = this.telemetry.get(botId);
+        if (telemetry) {
+            telemetry.destroy();
+            this.telemetry.delete(botId);
+        }
+        
+        // Macros can't wait for chat or keep typing on a dead connection
+        this.cancelMacro(botId, 'Bot disconnected');
+
+        // Stop answering AuthMe prompts for the old connection
+        const authFlow = this.authFlows.get(botId);
+        if (authFlow) {
+            authFlow.destroy();
+            this.authFlows.delete(botId);
+        }
+        
+        // Clear keep-alive timer
+        this.stopKeepAlive(botId);
+        
         // Clear reconnect timer unless we're manually stopping
         if (!scheduleReconnect) {
             const reconnectTimer = this.reconnectTimers.get(botId);
@@ -468,56 +873,45 @@ class BotManager {
         }
     }
 
-    // Start keep-alive movements
+    // Start the bot's anti-AFK profile (restarts it if already running)
     startKeepAlive(botId) {
         const bot = this.bots.get(botId);
         if (!bot) return;
 
         // Clear any existing timer
-        const existingTimer = this.keepAliveTimers.get(botId);
-        if (existingTimer) {
-            clearInterval(existingTimer);
-        }
+        this.stopKeepAlive(botId);
 
-        const timer = setInterval(() => {
-            if (!bot || !bot.entity) return;
+        const botConfig = this.getBotConfig(botId) || {};
+        const settings = antiAfk.resolveSettings(botConfig.antiAfk);
+        if (settings.profile === 'disabled') return;
 
-            try {
-                // Random small movement to prevent AFK
-                const dx = Math.floor(Math.random() * 3) - 1;
-                const dz = Math.floor(Math.random() * 3) - 1;
-                const pos = bot.entity.position.offset(dx, 0, dz);
-                
-                bot.lookAt(pos);
-                bot.setControlState('forward', true);
-                
-                setTimeout(() => {
-                    if (bot && bot.setControlState) {
-                        bot.setControlState('forward', false);
-                    }
-                }, 1000);
-
-                // Jump occasionally
-                if (Math.random() > 0.7) {
-                    bot.setControlState('jump', true);
-                    setTimeout(() => {
-                        if (bot && bot.setControlState) {
-                            bot.setControlState('jump', false);
-                        }
-                    }, 500);
+        const schedule = () => {
+            const timer = setTimeout(async () => {
+                if (this.bots.get(botId) !== bot) return;
+
+                try {
+                    await antiAfk.runProfile(bot, settings);
+                } catch (error) {
+                    this.emitLog(botId, 'error', `Anti-AFK error: ${error.message}`);
                 }
 
-                // Look around to see more
-                if (Math.random() > 0.5) {
-                    bot.look(bot.entity.yaw + (Math.random() * 60 - 30), bot.entity.pitch + (Math.random() * 20 - 10));
+                // Settings may have changed while the routine ran
+                if (this.keepAliveTimers.get(botId) === timer) {
+                    schedule();
                 }
+            }, antiAfk.nextDelay(settings));
 
-            } catch (error) {
-                this.emitLog(botId, 'error', `Keep-alive error: ${error.message}`);
-            }
-        }, 45000); // Every 45 seconds (less than typical AFK timeout)
+            this.keepAliveTimers.set(botId, timer);
+        };
+        schedule();
+    }
 
-        this.keepAliveTimers.set(botId, timer);
+    stopKeepAlive(botId) {
+        const timer = this.keepAliveTimers.get(botId);
+        if (timer) {
+            clearTimeout(timer);
+            this.keepAliveTimers.delete(botId);
+        }
     }
 }
 
@@ -531,12 +925,34 @@ module.exports = {
     stopBot: (botId) => botManager.stopBot(botId),
     shutdownAll: () => botManager.shutdownAll(),
     sendMessage: (botId, message) => botManager.sendMessage(botId, message),
+    runMacro: (botId, qc, args, user) => botManager.runMacro(botId, qc, args, user),
+    cancelMacro: (botId, reason) => botManager.cancelMacro(botId, reason),
+    
+    shouldAutoStart: (botConfig) => botManager.shouldAutoStart(botConfig),
+    autoStartBots: (stagger) => botManager.autoStartBots(stagger),
+    startSampling: (interval) => botManager.startSampling(interval),
+    
+    // Keep in sync with bots.json
+    loadBots: () => botManager.loadBots(),
+    addBot: (botConfig) => botManager.addBot(botConfig),
+    updateBot: (botConfig) => botManager.updateBot(botConfig),
+    removeBot: (botId) => botManager.removeBot(botId),
+    getBotConfig: (botId) => botManager.getBotConfig(botId),
     
     // Status and info
     getBotStatus: (botId) => botManager.getBotStatus(botId),
+    getConnectionInfo: (botId) => botManager.getConnectionInfo(botId),
+    isBotUsername: (username) => botManager.isBotUsername(username),
     getAllBotStatuses: () => botManager.getAllBotStatuses(),
     getBotStats: (botId) => botManager.getBotStats(botId),
     
+    // Integrations
+    onBotEvent: (listener) => botManager.on('bot-event', listener),
+    emitEvent: (botId, type, data) => botManager.emitEvent(botId, type, data),
+    emitLog: (botId, level, message) => botManager.emitLog(botId, level, message),
+    
     // Socket.IO setup
-    setSocketIO: (io) => botManager.setSocketIO(io)
+    setSocketIO: (io) => botManager.setSocketIO(io),
+    statusRoom: (botId) => botManager.statusRoom(botId),
+    consoleRoom: (botId) => botManager.consoleRoom(botId)
 };
\ No newline at end of file
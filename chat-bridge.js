@@ -0,0 +1,310 @@
+// Two-way chat bridge between a bot and an external channel.
+//
+// Channels are stored in the `chatBridge` array of config.json:
+//   {
+//       id, name, botId, enabled: true,
+//       adapter: 'webhook',
+//       outboundUrl: 'https://discord.com/api/webhooks/...',
+//       outboundFormat: 'discord',           // or 'json'
+//       inboundToken: '<sha256 of the token>',
+//       toChannelTemplate: '{message}',
+//       toGameTemplate: '[{source}] {author}: {message}',
+//       usernamePrefix: '',                  // Shown before player names in the channel
+//       maxPerMinute: 20
+//   }
+// In-game chat from the bot's server goes out through the adapter; messages
+// posted to /api/bridge/<id>/messages are typed into the game by the bot.
+
+const crypto = require('crypto');
+const botCtrl = require('./bot-control');
+const { fill } = require('./placeholders');
+
+const DEFAULTS = {
+    adapter: 'webhook',
+    outboundFormat: 'json',
+    toChannelTemplate: '{message}',
+    toGameTemplate: '[{source}] {author}: {message}',
+    usernamePrefix: '',
+    maxPerMinute: 20
+};
+
+const MAX_GAME_LENGTH = 256; // Same as the bots' chatLengthLimit
+const MAX_CHANNEL_LENGTH = 2000; // Discord's message limit
+const DUPLICATE_WINDOW = 10000; // Ignore the same message from the same author for this long
+const ECHO_WINDOW = 30000; // Inbound copies of what we just sent out are dropped for this long
+const REQUEST_TIMEOUT = 10000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Text that is safe to type into Minecraft chat: one line, no formatting codes,
+// and never a command
+function cleanForGame(text) {
+    return String(text)
+        .replace(/[\r\n\t]+/g, ' ')
+        .replace(/§./g, '')
+        .replace(/[\x00-\x1f\x7f]/g, '')
+        .trim()
+        .replace(/^\/+/, '');
+}
+
+// Adapters move messages between the bridge and an external service.
+// An adapter has send({ username, displayName, text, message }) and
+// parseInbound(body) -> { author, message } or null to ignore the body.
+class WebhookAdapter {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    async send(outgoing) {
+        const payload = this.channel.outboundFormat === 'discord' ? {
+            content: outgoing.text.slice(0, MAX_CHANNEL_LENGTH),
+            username: outgoing.displayName.slice(0, 80),
+            allowed_mentions: { parse: [] } // Players must not be able to ping @everyone
+        } : {
+            channel: this.channel.id,
+            bot: this.channel.botId,
+            username: outgoing.username,
+            displayName: outgoing.displayName,
+            message: outgoing.message,
+            text: outgoing.text.slice(0, MAX_CHANNEL_LENGTH),
+            timestamp: new Date().toISOString()
+        };
+
+        const response = await fetch(this.channel.outboundUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'MCBP-ChatBridge' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+    }
+
+    // Accepts { author, message } or a Discord style { content, author: { username } }
+    parseInbound(body) {
+        if (!body || typeof body !== 'object') return null;
+
+        // Messages posted by webhooks or bots are most likely our own relays
+        if (body.webhook_id || (body.author && body.author.bot)) return null;
+
+        const message = body.message !== undefined ? body.message : body.content;
+        const author = typeof body.author === 'object' && body.author ? body.author.username : body.author;
+        if (!message || !author) return null;
+
+        return { author: String(author), message: String(message) };
+    }
+}
+
+const ADAPTERS = {
+    webhook: WebhookAdapter
+};
+
+// Per channel, per direction: messages in the last minute and recent duplicates
+class Limiter {
+    constructor(maxPerMinute) {
+        this.maxPerMinute = maxPerMinute;
+        this.times = [];
+        this.recent = new Map(); // key -> time last seen
+    }
+
+    allow(key) {
+        const now = Date.now();
+        this.times = this.times.filter(time => now - time < 60000);
+        this.recent.forEach((time, recentKey) => {
+            if (now - time > DUPLICATE_WINDOW) this.recent.delete(recentKey);
+        });
+
+        if (this.recent.has(key) || this.times.length >= this.maxPerMinute) {
+            return false;
+        }
+        this.times.push(now);
+        this.recent.set(key, now);
+        return true;
+    }
+}
+
+class ChatBridge {
+    constructor() {
+        this.channels = new Map(); // id -> { config, adapter, outLimiter, inLimiter, echoes, stats }
+    }
+
+    // Replace the active channels (called on boot and after every change)
+    configure(channels = []) {
+        const previous = this.channels;
+        this.channels = new Map();
+
+        channels.forEach(input => {
+            const config = { ...DEFAULTS, ...input };
+            const Adapter = ADAPTERS[config.adapter];
+            if (!Adapter) {
+                console.warn(`Chat bridge ${config.id}: unknown adapter '${config.adapter}'`);
+                return;
+            }
+
+            const old = previous.get(config.id);
+            this.channels.set(config.id, {
+                config,
+                adapter: new Adapter(config),
+                outLimiter: new Limiter(config.maxPerMinute),
+                inLimiter: new Limiter(config.maxPerMinute),
+                echoes: new Map(), // text -> time sent out
+                stats: old ? old.stats : { sent: 0, received: 0, dropped: 0, lastError: null }
+            });
+        });
+    }
+
+    // Bot events from BotManager; only player chat is relayed
+    handleEvent(event) {
+        if (event.type !== 'chat') return;
+
+        this.channels.forEach(channel => {
+            if (channel.config.enabled === false || channel.config.botId !== event.botId) return;
+            this.relayToChannel(channel, event.data.username, event.data.message);
+        });
+    }
+
+    async relayToChannel(channel, username, message) {
+        // Other bots may be bridges themselves, relaying them would loop
+        if (botCtrl.isBotUsername(username)) return;
+
+        if (!channel.outLimiter.allow(`${username}:${message}`)) {
+            channel.stats.dropped++;
+            return;
+        }
+
+        const config = channel.config;
+        const text = fill(config.toChannelTemplate, {
+            username,
+            message,
+            bot: config.botId
+        });
+        channel.echoes.set(message, Date.now());
+
+        try {
+            await channel.adapter.send({
+                username,
+                displayName: `${config.usernamePrefix}${username}`,
+                message,
+                text
+            });
+            channel.stats.sent++;
+        } catch (error) {
+            channel.stats.lastError = `Send failed: ${error.name === 'TimeoutError' ? 'timed out' : error.message}`;
+            console.warn(`Chat bridge ${config.id}: ${channel.stats.lastError}`);
+        }
+    }
+
+    // Inbound message from the external side.
+    // Returns { status, message } for the HTTP response.
+    receive(channelId, token, body) {
+        const channel = this.channels.get(channelId);
+        if (!channel || channel.config.enabled === false) {
+            return { status: 404, message: 'Bridge channel not found' };
+        }
+
+        const expected = Buffer.from(channel.config.inboundToken || '', 'hex');
+        const actual = Buffer.from(hashToken(token || ''), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { status: 401, message: 'Invalid bridge token' };
+        }
+
+        const inbound = channel.adapter.parseInbound(body);
+        if (!inbound) {
+            return { status: 202, message: 'Ignored' };
+        }
+        const author = cleanForGame(inbound.author);
+        const message = cleanForGame(inbound.message);
+
+        // Drop copies of messages we relayed out a moment ago
+        const now = Date.now();
+        channel.echoes.forEach((time, text) => {
+            if (now - time > ECHO_WINDOW) channel.echoes.delete(text);
+        });
+        if (channel.echoes.has(inbound.message) || channel.echoes.has(message)) {
+            return { status: 202, message: 'Ignored' };
+        }
+
+        if (!channel.inLimiter.allow(`${author}:${message}`)) {
+            channel.stats.dropped++;
+            return { status: 429, message: 'Too many messages' };
+        }
+
+        if (botCtrl.getBotStatus(channel.config.botId).state !== 'online') {
+            return { status: 409, message: 'Bot is not online' };
+        }
+
+        const text = cleanForGame(fill(channel.config.toGameTemplate, {
+            source: channel.config.name,
+            author,
+            message
+        })).slice(0, MAX_GAME_LENGTH);
+        if (!message) {
+            return { status: 202, message: 'Ignored' };
+        }
+
+        botCtrl.sendMessage(channel.config.botId, text);
+        channel.stats.received++;
+        return { status: 200, message: 'Sent' };
+    }
+
+    getStats(channelId) {
+        const channel = this.channels.get(channelId);
+        return channel ? channel.stats : null;
+    }
+}
+
+// Validate and clean a channel from the API; returns { channel, token } or { error }.
+// token is only set when a new inbound token was generated.
+function normalizeChannel(input, existing = {}) {
+    const channel = {
+        id: existing.id,
+        name: String(input.name || '').trim(),
+        botId: String(input.botId || '').trim(),
+        enabled: input.enabled !== false,
+        adapter: ADAPTERS[input.adapter] ? input.adapter : DEFAULTS.adapter,
+        outboundUrl: String(input.outboundUrl || '').trim(),
+        outboundFormat: input.outboundFormat === 'discord' ? 'discord' : 'json',
+        toChannelTemplate: String(input.toChannelTemplate || DEFAULTS.toChannelTemplate),
+        toGameTemplate: String(input.toGameTemplate || DEFAULTS.toGameTemplate),
+        usernamePrefix: String(input.usernamePrefix || ''),
+        maxPerMinute: Math.min(Math.max(parseInt(input.maxPerMinute) || DEFAULTS.maxPerMinute, 1), 120),
+        inboundToken: existing.inboundToken
+    };
+
+    if (!channel.name) return { error: 'Name is required' };
+    if (!channel.botId) return { error: 'Bot is required' };
+    if (!/^https?:\/\//i.test(channel.outboundUrl)) return { error: 'Outbound URL must start with http:// or https://' };
+    if (!channel.toGameTemplate.includes('{message}')) return { error: 'The in-game template needs {message}' };
+
+    // New channels and explicit requests get a fresh inbound token
+    let token = null;
+    if (!channel.inboundToken || input.regenerateToken) {
+        token = crypto.randomBytes(24).toString('hex');
+        channel.inboundToken = hashToken(token);
+    }
+
+    return { channel, token };
+}
+
+// Copy of a channel that is safe to send to clients
+function redactChannel(channel) {
+    const { inboundToken, ...safeChannel } = channel;
+    return safeChannel;
+}
+
+// Create singleton instance
+const chatBridge = new ChatBridge();
+
+module.exports = {
+    ADAPTERS,
+    configure: (channels) => chatBridge.configure(channels),
+    handleEvent: (event) => chatBridge.handleEvent(event),
+    receive: (channelId, token, body) => chatBridge.receive(channelId, token, body),
+    getStats: (channelId) => chatBridge.getStats(channelId),
+    normalizeChannel,
+    redactChannel,
+    cleanForGame
+};
@@ -0,0 +1,262 @@
+// In-game chat commands.
+//
+// Each bot configures them in its `chatCommands` settings:
+//   {
+//       enabled: false,
+//       prefix: '!',
+//       replyMode: 'chat',                 // or 'whisper' to answer with /msg
+//       commands: {                        // overrides for the built-in commands
+//           where: { enabled: true, whitelist: [], cooldown: 10, reply: 'I am at {x} {y} {z}' }
+//       },
+//       custom: [                          // extra commands that run one of the bot's quick commands
+//           { name: 'home', quickCommandId: 'qc-...', whitelist: ['Steve'], cooldown: 30, reply: 'Going home' }
+//       ]
+//   }
+// An empty whitelist lets every player use the command. Cooldowns are in
+// seconds and count per player.
+// Words after a custom command fill the quick command's arguments in order,
+// one word each, so a player can't slip extra arguments into the command.
+
+const { promptArguments } = require('./macro-runner');
+const qcLibrary = require('./quick-commands');
+const { fill } = require('./placeholders');
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    prefix: '!',
+    replyMode: 'chat',
+    commands: {},
+    custom: []
+};
+
+const MAX_REPLY_LENGTH = 256;
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    if (days > 0) return `${days}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+// Player input must never turn into a command of its own
+function stripCommand(text) {
+    return text.replace(/^\/+/, '').trim();
+}
+
+// run(bot, context, settings) returns the values for the reply template,
+// or a string to reply with instead
+const BUILTIN_COMMANDS = {
+    where: {
+        label: 'Tell where the bot is',
+        defaults: { enabled: true, cooldown: 10, reply: 'I am at {x} {y} {z} in {dimension}' },
+        run: (bot) => {
+            const position = bot.entity.position;
+            return {
+                x: Math.floor(position.x),
+                y: Math.floor(position.y),
+                z: Math.floor(position.z),
+                dimension: String(bot.game.dimension).replace('minecraft:', '')
+            };
+        }
+    },
+
+    ping: {
+        label: 'Reply with the player\'s ping',
+        defaults: { enabled: true, cooldown: 10, reply: 'Pong! {username}, your ping is {ping}ms' },
+        run: (bot, context) => {
+            const player = bot.players[context.username];
+            return { ping: player ? player.ping : '?', botPing: bot.player ? bot.player.ping : '?' };
+        }
+    },
+
+    uptime: {
+        label: 'Tell how long the bot has been online',
+        defaults: { enabled: true, cooldown: 10, reply: 'Online for {uptime}' },
+        run: (bot, context) => ({
+            uptime: context.connectedSince ? formatDuration(Date.now() - Date.parse(context.connectedSince)) : '?'
+        })
+    },
+
+    // Off by default, most servers only let operators teleport
+    tp: {
+        label: 'Teleport to the player',
+        defaults: { enabled: false, cooldown: 30, reply: 'On my way, {username}', command: '/tp {username}' },
+        run: (bot, context, settings) => {
+            context.send(fill(settings.command, { username: context.username, bot: bot.username }));
+            return {};
+        }
+    },
+
+    say: {
+        label: 'Repeat a message in chat',
+        defaults: { enabled: false, cooldown: 30, reply: '{args}' },
+        run: (bot, context) => {
+            const text = stripCommand(context.args);
+            return text ? { args: text } : 'Usage: {prefix}say <message>';
+        }
+    }
+};
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(item => item);
+    return String(value || '').split(',').map(item => item.trim()).filter(item => item);
+}
+
+function resolveCommand(defaults, overrides = {}) {
+    const command = { ...defaults, ...overrides };
+    command.enabled = command.enabled !== false;
+    command.whitelist = toList(command.whitelist);
+    command.cooldown = Math.max(parseInt(command.cooldown) || 0, 0);
+    command.reply = String(command.reply !== undefined ? command.reply : defaults.reply || '');
+    return command;
+}
+
+// Merge per-bot overrides with the defaults
+function resolveSettings(overrides = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...overrides };
+
+    settings.enabled = settings.enabled === true;
+    settings.prefix = String(settings.prefix || DEFAULT_SETTINGS.prefix).trim() || DEFAULT_SETTINGS.prefix;
+    settings.replyMode = settings.replyMode === 'whisper' ? 'whisper' : 'chat';
+
+    const commands = {};
+    Object.entries(BUILTIN_COMMANDS).forEach(([name, builtin]) => {
+        commands[name] = resolveCommand(builtin.defaults, (overrides.commands || {})[name]);
+    });
+    settings.commands = commands;
+
+    // Custom commands can't shadow the built-in ones
+    settings.custom = (Array.isArray(overrides.custom) ? overrides.custom : [])
+        .map(custom => ({
+            ...resolveCommand({ cooldown: 10, reply: '' }, custom),
+            name: String(custom.name || '').trim().toLowerCase(),
+            quickCommandId: custom.quickCommandId
+        }))
+        .filter(custom => custom.name && custom.quickCommandId && !BUILTIN_COMMANDS[custom.name]);
+
+    return settings;
+}
+
+// Players aren't users: whoever set up the custom command was checked when the
+// bot was saved, so any stored command that runs on the bot will do
+async function findQuickCommand(botId, qcId) {
+    try {
+        const commands = await qcLibrary.load();
+        return commands.find(qc => qc.id === qcId && qcLibrary.usableOn(qc, botId)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Answers chat commands for one connection.
+// options: { getSettings, getStatus, send, runQuickCommand, log }
+class ChatCommands {
+    constructor(bot, options) {
+        this.bot = bot;
+        this.options = options;
+        this.cooldowns = new Map(); // 'command:player' -> time it may be used again
+    }
+
+    // Returns true if the message was a command for this bot
+    handle(username, message) {
+        const settings = resolveSettings(this.options.getSettings());
+        if (!settings.enabled || !message.startsWith(settings.prefix)) return false;
+
+        const [rawName, ...rest] = message.slice(settings.prefix.length).trim().split(/\s+/);
+        const name = (rawName || '').toLowerCase();
+        const builtin = BUILTIN_COMMANDS[name];
+        const command = builtin ? settings.commands[name] : settings.custom.find(custom => custom.name === name);
+        if (!command || !command.enabled) return false;
+
+        const allowed = command.whitelist.length === 0 ||
+            command.whitelist.some(player => player.toLowerCase() === username.toLowerCase());
+        if (!allowed) {
+            this.options.log('info', `Ignored ${settings.prefix}${name} from ${username} (not whitelisted)`);
+            return true;
+        }
+
+        // Cooldowns are silent so players can't use them to spam the chat either
+        const key = `${name}:${username.toLowerCase()}`;
+        if ((this.cooldowns.get(key) || 0) > Date.now()) return true;
+        this.cooldowns.set(key, Date.now() + command.cooldown * 1000);
+
+        const context = {
+            username,
+            args: rest.join(' '),
+            prefix: settings.prefix,
+            connectedSince: this.options.getStatus().connectedSince,
+            send: this.options.send
+        };
+        this.options.log('info', `Chat command ${settings.prefix}${name} from ${username}`);
+
+        if (builtin) {
+            this.runBuiltin(builtin, command, context, settings);
+        } else {
+            this.runCustom(command, context, settings);
+        }
+        return true;
+    }
+
+    runBuiltin(builtin, command, context, settings) {
+        try {
+            const result = builtin.run(this.bot, context, command);
+            const template = typeof result === 'string' ? result : command.reply;
+            this.reply(settings, context, template, typeof result === 'string' ? {} : result);
+        } catch (error) {
+            this.options.log('error', `Chat command failed: ${error.message}`);
+        }
+    }
+
+    async runCustom(command, context, settings) {
+        const qc = await findQuickCommand(this.bot.botId, command.quickCommandId);
+        if (!qc) {
+            this.options.log('warn', `Chat command ${settings.prefix}${command.name} points to a missing quick command`);
+            return;
+        }
+
+        const names = promptArguments(qc);
+        const words = context.args ? context.args.split(/\s+/) : [];
+        if (words.length !== names.length) {
+            this.reply(settings, context, `Usage: {prefix}${command.name} ${names.map(name => `<${name}>`).join(' ')}`, {});
+            return;
+        }
+        const args = {};
+        names.forEach((name, index) => {
+            args[name] = stripCommand(words[index]);
+        });
+
+        if (!this.options.runQuickCommand(qc, args, context.username)) {
+            this.reply(settings, context, 'Busy, try again in a moment', {});
+            return;
+        }
+        this.reply(settings, context, command.reply, { command: qc.name });
+    }
+
+    reply(settings, context, template, values) {
+        if (!template) return;
+
+        const text = stripCommand(fill(template, {
+            username: context.username,
+            args: context.args,
+            prefix: context.prefix,
+            bot: this.bot.username,
+            ...values
+        }).replace(/[\r\n]+/g, ' '));
+        if (!text) return;
+
+        if (settings.replyMode === 'whisper') {
+            this.options.send(`/msg ${context.username} ${text}`.slice(0, MAX_REPLY_LENGTH));
+        } else {
+            this.options.send(text.slice(0, MAX_REPLY_LENGTH));
+        }
+    }
+}
+
+module.exports = {
+    BUILTIN_COMMANDS,
+    DEFAULT_SETTINGS,
+    resolveSettings,
+    ChatCommands
+};
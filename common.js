@@ -169,6 +169,17 @@ function getObject(key, defaultValue = null) {
 }
 
 // DOM Helpers
+// Text for building markup: names, messages and anything else users or servers
+// sent must go through this before it reaches innerHTML
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function createElement(tag, attributes = {}, children = []) {
     const element = document.createElement(tag);
     
@@ -275,6 +286,70 @@ function checkPermission(permission) {
     return false;
 }
 
+// Simple SVG chart for metrics.
+// points: [{ timestamp, value }] with null values left as gaps
+// options: { type: 'line' | 'bar', color, min, max, unit, height }
+function renderChart(container, points, options = {}) {
+    const width = 600;
+    const height = options.height || 160;
+    const pad = { top: 10, right: 10, bottom: 20, left: 40 };
+    const color = options.color || 'var(--accent-primary)';
+    const values = points.map(point => point.value).filter(value => value !== null && value !== undefined);
+
+    if (values.length === 0) {
+        container.innerHTML = '<div class="text-muted text-center p-4">No data for this period</div>';
+        return;
+    }
+
+    const min = options.min !== undefined ? options.min : Math.min(...values);
+    const max = options.max !== undefined ? options.max : Math.max(...values, min + 1);
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const step = plotWidth / Math.max(points.length, 1);
+    const x = (index) => pad.left + step * index + step / 2;
+    const y = (value) => pad.top + plotHeight - ((value - min) / (max - min || 1)) * plotHeight;
+    const unit = options.unit || '';
+    const label = (point) => `${new Date(point.timestamp).toLocaleString()}: ${point.value}${unit}`;
+
+    let shapes = '';
+    if (options.type === 'bar') {
+        points.forEach((point, index) => {
+            if (!point.value) return;
+            const top = y(point.value);
+            shapes += `<rect x="${x(index) - step * 0.4}" y="${top}" width="${step * 0.8}" height="${pad.top + plotHeight - top}" fill="${color}"><title>${label(point)}</title></rect>`;
+        });
+    } else {
+        // Break the line wherever there is no data
+        let path = '';
+        let drawing = false;
+        points.forEach((point, index) => {
+            if (point.value === null || point.value === undefined) {
+                drawing = false;
+                return;
+            }
+            path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)},${y(point.value).toFixed(1)} `;
+            drawing = true;
+            shapes += `<circle cx="${x(index)}" cy="${y(point.value)}" r="${points.length > 100 ? 1 : 2}" fill="${color}"><title>${label(point)}</title></circle>`;
+        });
+        shapes = `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>` + shapes;
+    }
+
+    const first = new Date(points[0].timestamp).toLocaleString();
+    const last = new Date(points[points.length - 1].timestamp).toLocaleString();
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="none" style="display: block;">
+            <line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}" stroke="var(--border-color)"/>
+            <line x1="${pad.left}" y1="${pad.top}" x2="${width - pad.right}" y2="${pad.top}" stroke="var(--border-color)" stroke-dasharray="4"/>
+            <text x="${pad.left - 5}" y="${pad.top + 4}" text-anchor="end" font-size="10" fill="var(--text-muted)">${max}${unit}</text>
+            <text x="${pad.left - 5}" y="${pad.top + plotHeight}" text-anchor="end" font-size="10" fill="var(--text-muted)">${min}${unit}</text>
+            <text x="${pad.left}" y="${height - 5}" font-size="10" fill="var(--text-muted)">${first}</text>
+            <text x="${width - pad.right}" y="${height - 5}" text-anchor="end" font-size="10" fill="var(--text-muted)">${last}</text>
+            ${shapes}
+        </svg>
+    `;
+}
+
 // Initialize theme on page load
 document.addEventListener('DOMContentLoaded', () => {
     const theme = getStoredTheme();
@@ -294,6 +369,7 @@ document.addEventListener('DOMContentLoaded', () => {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         applyTheme,
+        escapeHtml,
         getAuthToken,
         getCurrentUser,
         showToast,
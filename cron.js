@@ -0,0 +1,212 @@
+// Cron expressions and time zone arithmetic for scheduled tasks.
+//
+// Expressions have the usual five fields:
+//   minute  hour  day-of-month  month  day-of-week
+//   0       4     *             *     *            every day at 04:00
+//   0       */12  *             *     *            every 12 hours
+//   0       0     *             *     sat          Saturdays at midnight
+// Fields take *, numbers, ranges (1-5), steps (*/15, 0-30/10) and lists (1,15).
+// Months and weekdays can be names (jan, mon); 0 and 7 are both Sunday.
+// As in classic cron, a restricted day-of-month and day-of-week match when
+// either one does. @hourly, @daily, @weekly, @monthly and @yearly are shortcuts.
+// Times are wall clock times in the schedule's time zone; a time skipped by a
+// daylight saving change doesn't run that day.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Far enough to find Feb 29 even across a skipped leap year
+const MAX_SEARCH_DAYS = 366 * 8 + 1;
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        // Month names start at 1, weekday names at 0
+        return field.names.indexOf(lower) + field.min;
+    }
+    if (!/^\d+$/.test(text)) return NaN;
+    return parseInt(text);
+}
+
+// Values one field matches, sorted; throws with a readable message
+function parseField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (isNaN(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid step "${part}" in ${field.name}`);
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            from = parseValue(bounds[0], field);
+            to = bounds.length > 1 ? parseValue(bounds[1], field) : (stepText !== undefined ? field.max : from);
+            if (bounds.length > 2 || isNaN(from) || isNaN(to)) {
+                throw new Error(`Invalid value "${part}" in ${field.name}`);
+            }
+        }
+        if (from < field.min || to > field.max || from > to) {
+            throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return [...values].sort((a, b) => a - b);
+}
+
+// Parse an expression; returns { cron } or { error }
+function parse(expression) {
+    const text = String(expression || '').trim();
+    const fields = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        return { error: 'A cron expression needs 5 fields: minute hour day month weekday' };
+    }
+
+    try {
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+        return {
+            cron: {
+                minutes,
+                hours,
+                days,
+                months,
+                weekdays: [...new Set(weekdays.map(day => day % 7))], // 7 is Sunday too
+                anyDay: fields[2] === '*',
+                anyWeekday: fields[4] === '*'
+            }
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall clock time of an instant in a time zone
+function wallClock(ms, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(ms)).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+    return parts;
+}
+
+// How far the time zone is ahead of UTC at an instant, in ms
+function offsetAt(ms, timeZone) {
+    const wall = wallClock(ms, timeZone);
+    const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    return wallAsUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant of a wall clock time in a time zone, or null when the time doesn't
+// exist there (skipped by a daylight saving change)
+function zonedTime(year, month, day, hour, minute, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    let ms = asUtc - offsetAt(asUtc, timeZone);
+    const corrected = asUtc - offsetAt(ms, timeZone);
+    if (corrected !== ms) ms = corrected;
+
+    const wall = wallClock(ms, timeZone);
+    const matches = wall.year === year && wall.month === month && wall.day === day &&
+        wall.hour === hour && wall.minute === minute;
+    return matches ? ms : null;
+}
+
+// "2025-06-01T04:00" in a time zone to a Date, or null if invalid
+function parseLocalTime(text, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match || !isValidTimeZone(timeZone)) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(value => parseInt(value));
+    const ms = zonedTime(year, month, day, hour, minute, timeZone);
+    return ms === null ? null : new Date(ms);
+}
+
+function matchesDay(cron, month, day, weekday) {
+    if (!cron.months.includes(month)) return false;
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return cron.weekdays.includes(weekday);
+    if (cron.anyWeekday) return cron.days.includes(day);
+    return cron.days.includes(day) || cron.weekdays.includes(weekday);
+}
+
+// First time after `after` the expression matches in the time zone, or null
+function nextRun(cron, timeZone, after = new Date()) {
+    const afterMs = after.getTime();
+    const start = wallClock(afterMs, timeZone);
+
+    for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        if (!matchesDay(cron, month, day, date.getUTCDay())) continue;
+
+        for (const hour of cron.hours) {
+            if (offset === 0 && hour < start.hour) continue;
+
+            for (const minute of cron.minutes) {
+                if (offset === 0 && hour === start.hour && minute <= start.minute) continue;
+
+                const ms = zonedTime(year, month, day, hour, minute, timeZone);
+                if (ms !== null && ms > afterMs) return new Date(ms);
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    SHORTCUTS,
+    parse,
+    nextRun,
+    parseLocalTime,
+    isValidTimeZone
+};
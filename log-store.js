@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOGS_DIR = path.join(__dirname, 'data', 'logs');
+const DEFAULT_RETENTION_DAYS = 14;
+const MAX_PAGE_SIZE = 1000;
+
+class LogStore {
+    constructor() {
+        this.pending = new Map(); // botId -> array of lines waiting to be written
+        this.writing = new Map(); // botId -> promise of the current flush
+        this.retentionDays = DEFAULT_RETENTION_DAYS;
+        this.pruneTimer = null;
+    }
+
+    // Bot ids become directory names, so only allow safe characters
+    sanitizeId(botId) {
+        return String(botId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    // One file per bot per day: data/logs/<botId>/<YYYY-MM-DD>.jsonl
+    dayKey(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    botDir(botId) {
+        return path.join(LOGS_DIR, this.sanitizeId(botId));
+    }
+
+    // Queue an entry for writing; entries are flushed in order per bot
+    append(botId, entry) {
+        const record = {
+            timestamp: entry.timestamp || new Date().toISOString(),
+            type: entry.type || 'log',
+            level: entry.level || 'info',
+            message: entry.message
+        };
+        if (entry.username) {
+            record.username = entry.username;
+        }
+
+        const queue = this.pending.get(botId) || [];
+        queue.push(record);
+        this.pending.set(botId, queue);
+
+        if (!this.writing.has(botId)) {
+            this.writing.set(botId, this.flush(botId));
+        }
+    }
+
+    async flush(botId) {
+        try {
+            // Give the current tick a chance to batch more entries
+            await new Promise(resolve => setImmediate(resolve));
+
+            while ((this.pending.get(botId) || []).length > 0) {
+                const records = this.pending.get(botId);
+                this.pending.set(botId, []);
+
+                // Group by day so entries around midnight land in the right file
+                const byDay = new Map();
+                records.forEach(record => {
+                    const day = record.timestamp.slice(0, 10);
+                    const lines = byDay.get(day) || [];
+                    lines.push(JSON.stringify(record));
+                    byDay.set(day, lines);
+                });
+
+                const dir = this.botDir(botId);
+                await fs.mkdir(dir, { recursive: true });
+                for (const [day, lines] of byDay) {
+                    await fs.appendFile(path.join(dir, `${day}.jsonl`), lines.join('\n') + '\n', 'utf8');
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to write logs for ${botId}:`, error);
+        } finally {
+            this.writing.delete(botId);
+        }
+    }
+
+    // List day files for a bot that overlap the requested range (newest first)
+    async listDays(botId, from, to) {
+        let files;
+        try {
+            files = await fs.readdir(this.botDir(botId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fromDay = from ? this.dayKey(from) : null;
+        const toDay = to ? this.dayKey(to) : null;
+
+        return files
+            .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+            .map(file => file.slice(0, 10))
+            .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+            .sort()
+            .reverse();
+    }
+
+    // Query stored entries.
+    // options: from, to (Date), levels (array), type, search, limit, offset
+    // Pagination runs newest-first; the returned page is in chronological order.
+    async query(botId, options = {}) {
+        // Make sure anything still queued is on disk before reading
+        if (this.writing.has(botId)) {
+            await this.writing.get(botId);
+        }
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || 200, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(options.offset) || 0, 0);
+        const from = options.from ? options.from.getTime() : null;
+        const to = options.to ? options.to.getTime() : null;
+        const levels = options.levels && options.levels.length > 0 ? options.levels : null;
+        const search = options.search ? String(options.search).toLowerCase() : null;
+
+        const days = await this.listDays(botId, options.from, options.to);
+        const matches = [];
+        let total = 0;
+
+        for (const day of days) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(this.botDir(botId), `${day}.jsonl`), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            const lines = content.split('\n');
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (e) {
+                    continue; // Skip partially written lines
+                }
+
+                const time = Date.parse(entry.timestamp);
+                if (from !== null && time < from) continue;
+                if (to !== null && time > to) continue;
+                if (levels && !levels.includes(entry.level)) continue;
+                if (options.type && entry.type !== options.type) continue;
+                if (search) {
+                    const haystack = `${entry.username || ''} ${entry.message || ''}`.toLowerCase();
+                    if (!haystack.includes(search)) continue;
+                }
+
+                if (total >= offset && matches.length < limit) {
+                    matches.push(entry);
+                }
+                total++;
+            }
+        }
+
+        return {
+            entries: matches.reverse(),
+            total,
+            offset,
+            limit,
+            hasMore: offset + matches.length < total
+        };
+    }
+
+    // Remove day files older than the retention window
+    async prune() {
+        let bots;
+        try {
+            bots = await fs.readdir(LOGS_DIR);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const cutoff = this.dayKey(new Date(Date.now() - this.retentionDays * 86400000));
+
+        for (const botDir of bots) {
+            const days = await this.listDays(botDir);
+            for (const day of days) {
+                if (day < cutoff) {
+                    await fs.unlink(path.join(LOGS_DIR, botDir, `${day}.jsonl`)).catch(() => {});
+                }
+            }
+        }
+    }
+
+    // Apply config and start the daily prune job
+    configure(options = {}) {
+        if (options.retentionDays) {
+            this.retentionDays = Math.max(1, parseInt(options.retentionDays));
+        }
+
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+        }
+
+        this.prune().catch(error => console.error('Failed to prune logs:', error));
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => console.error('Failed to prune logs:', error));
+        }, 86400000);
+        this.pruneTimer.unref();
+    }
+}
+
+// Create singleton instance
+const logStore = new LogStore();
+
+module.exports = {
+    append: (botId, entry) => logStore.append(botId, entry),
+    query: (botId, options) => logStore.query(botId, options),
+    prune: () => logStore.prune(),
+    configure: (options) => logStore.configure(options)
+};
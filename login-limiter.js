@@ -0,0 +1,81 @@
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_DURATION = 900000; // 15 minutes
+
+class LoginLimiter {
+    constructor() {
+        this.attempts = new Map(); // key -> { failures, lockedUntil, lastFailure }
+        this.maxAttempts = DEFAULT_MAX_ATTEMPTS;
+        this.lockoutDuration = DEFAULT_LOCKOUT_DURATION;
+    }
+
+    // Apply config.security settings
+    configure(security = {}) {
+        if (security.maxLoginAttempts) {
+            this.maxAttempts = parseInt(security.maxLoginAttempts);
+        }
+        if (security.lockoutDuration) {
+            this.lockoutDuration = parseInt(security.lockoutDuration);
+        }
+    }
+
+    // Milliseconds left on the longest active lockout among the keys (0 = allowed)
+    getLockout(keys) {
+        const now = Date.now();
+        let remaining = 0;
+
+        keys.forEach(key => {
+            const entry = this.attempts.get(key);
+            if (entry && entry.lockedUntil > now) {
+                remaining = Math.max(remaining, entry.lockedUntil - now);
+            }
+        });
+        return remaining;
+    }
+
+    // Count a failed attempt against every key, locking those that hit the limit
+    recordFailure(keys) {
+        const now = Date.now();
+
+        keys.forEach(key => {
+            let entry = this.attempts.get(key);
+
+            // Failures from an expired lockout window start over
+            if (!entry || (entry.lockedUntil && entry.lockedUntil <= now)) {
+                entry = { failures: 0, lockedUntil: 0, lastFailure: 0 };
+            }
+
+            entry.failures++;
+            entry.lastFailure = now;
+            if (entry.failures >= this.maxAttempts) {
+                entry.lockedUntil = now + this.lockoutDuration;
+            }
+            this.attempts.set(key, entry);
+        });
+    }
+
+    // Clear failures after a successful login
+    reset(keys) {
+        keys.forEach(key => this.attempts.delete(key));
+    }
+
+    // Forget entries that are neither locked nor recently failing
+    sweep() {
+        const now = Date.now();
+        this.attempts.forEach((entry, key) => {
+            if (entry.lockedUntil <= now && now - entry.lastFailure > this.lockoutDuration) {
+                this.attempts.delete(key);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const loginLimiter = new LoginLimiter();
+
+module.exports = {
+    configure: (security) => loginLimiter.configure(security),
+    getLockout: (keys) => loginLimiter.getLockout(keys),
+    recordFailure: (keys) => loginLimiter.recordFailure(keys),
+    reset: (keys) => loginLimiter.reset(keys),
+    sweep: () => loginLimiter.sweep()
+};
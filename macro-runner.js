@@ -0,0 +1,214 @@
+// Multi-step quick commands (macros).
+//
+// A quick command has ordered `steps`:
+//   [
+//       { type: 'command', command: '/spawn', delay: 0 },
+//       { type: 'command', command: '/warp afk', delay: 3000 },     // delay is waited before the step
+//       { type: 'wait', pattern: 'Welcome to AFK', timeout: 10000 }, // wait for a chat or server message
+//       { type: 'command', command: '/msg {player} I am at afk since {time}', delay: 0 }
+//   ]
+// Commands can use {bot.username}, {bot.name}, {bot.server}, {user}, {date}
+// and {time}. Any other {name} is an argument asked for when the macro runs.
+
+const { fill } = require('./placeholders');
+
+const MAX_STEPS = 50;
+const MAX_DELAY = 600000;
+const MIN_WAIT_TIMEOUT = 1000;
+const DEFAULT_WAIT_TIMEOUT = 10000;
+
+const BUILTIN_PLACEHOLDERS = ['bot.username', 'bot.name', 'bot.server', 'user', 'date', 'time'];
+
+function clampNumber(value, min, max, fallback) {
+    const number = parseInt(value);
+    return isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+}
+
+// Validate and clean the steps of a quick command; returns { steps } or { error }.
+// Old single `command` quick commands become a one step macro
+function normalizeSteps(input) {
+    const raw = Array.isArray(input.steps) && input.steps.length > 0 ? input.steps :
+        input.command ? [{ type: 'command', command: input.command }] : [];
+
+    if (raw.length === 0) return { error: 'Add at least one step' };
+    if (raw.length > MAX_STEPS) return { error: `A quick command can have at most ${MAX_STEPS} steps` };
+
+    const steps = [];
+    for (const [index, step] of raw.entries()) {
+        const delay = clampNumber(step.delay, 0, MAX_DELAY, 0);
+
+        if (step.type === 'wait') {
+            const pattern = String(step.pattern || '').trim();
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                return { error: `Step ${index + 1}: invalid pattern` };
+            }
+            if (!pattern) return { error: `Step ${index + 1}: enter a pattern to wait for` };
+            steps.push({ type: 'wait', pattern, timeout: clampNumber(step.timeout, MIN_WAIT_TIMEOUT, MAX_DELAY, DEFAULT_WAIT_TIMEOUT), delay });
+        } else {
+            const command = String(step.command || '').replace(/[\r\n]+/g, ' ').trim();
+            if (!command) return { error: `Step ${index + 1}: enter a command` };
+            steps.push({ type: 'command', command, delay });
+        }
+    }
+    return { steps };
+}
+
+// Steps of a stored quick command, including ones saved before macros existed
+function getSteps(qc) {
+    return Array.isArray(qc.steps) && qc.steps.length > 0 ? qc.steps : [{ type: 'command', command: qc.command, delay: 0 }];
+}
+
+// Names of the arguments to ask for when running a quick command
+function promptArguments(qc) {
+    const names = [];
+    getSteps(qc).forEach(step => {
+        const text = step.type === 'wait' ? step.pattern : step.command;
+        (text.match(/\{[\w.]+\}/g) || []).forEach(match => {
+            const name = match.slice(1, -1);
+            if (!BUILTIN_PLACEHOLDERS.includes(name) && !name.includes('.') && !names.includes(name)) {
+                names.push(name);
+            }
+        });
+    });
+    return names;
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Arguments are typed into commands, keep them on one line
+function cleanArgument(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// One run of a macro on one bot.
+// options: { botConfig, args, user, send(message), onMessage(listener) -> unsubscribe, onProgress(progress) }
+class MacroRun {
+    constructor(qc, options) {
+        this.qc = qc;
+        this.options = options;
+        this.steps = getSteps(qc);
+        this.cancelled = false;
+        this.wake = null; // Ends the current delay or wait early
+
+        const now = new Date();
+        this.values = {
+            'bot.username': options.botConfig.username,
+            'bot.name': options.botConfig.name,
+            'bot.server': options.botConfig.server,
+            user: options.user || '',
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`
+        };
+        Object.entries(options.args || {}).forEach(([name, value]) => {
+            if (!BUILTIN_PLACEHOLDERS.includes(name)) this.values[name] = cleanArgument(value);
+        });
+
+        this.progress = {
+            id: `macro-${Date.now()}`,
+            quickCommandId: qc.id,
+            name: qc.name,
+            step: 0,
+            total: this.steps.length,
+            description: '',
+            state: 'running',
+            error: null,
+            startedBy: options.user || null,
+            startedAt: now.toISOString(),
+            finishedAt: null
+        };
+    }
+
+    report(updates) {
+        this.progress = { ...this.progress, ...updates };
+        this.options.onProgress(this.progress);
+    }
+
+    // Resolves after ms, or straight away when the run is cancelled
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    // Resolves true when a message matches, false on timeout or cancel
+    waitForMessage(pattern, timeout) {
+        // Arguments are matched literally
+        const escaped = {};
+        Object.entries(this.values).forEach(([name, value]) => {
+            escaped[name] = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+        const regex = new RegExp(fill(pattern, escaped), 'i');
+
+        return new Promise(resolve => {
+            let finished = false;
+            const finish = (matched) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(matched);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            const unsubscribe = this.options.onMessage(text => {
+                if (regex.test(text)) finish(true);
+            });
+            this.wake = () => finish(false);
+        });
+    }
+
+    async run() {
+        this.report({});
+
+        for (const [index, step] of this.steps.entries()) {
+            if (step.delay > 0) {
+                this.report({ step: index + 1, description: `Waiting ${Math.round(step.delay / 1000)}s` });
+                await this.sleep(step.delay);
+            }
+            if (this.cancelled) return this.progress;
+
+            if (step.type === 'wait') {
+                this.report({ step: index + 1, description: `Waiting for "${step.pattern}"` });
+                const matched = await this.waitForMessage(step.pattern, step.timeout);
+                if (this.cancelled) return this.progress;
+                if (!matched) {
+                    this.report({
+                        state: 'failed',
+                        error: `Step ${index + 1}: "${step.pattern}" not seen within ${Math.round(step.timeout / 1000)}s`,
+                        finishedAt: new Date().toISOString()
+                    });
+                    return this.progress;
+                }
+            } else {
+                const command = fill(step.command, this.values);
+                this.report({ step: index + 1, description: command });
+                this.options.send(command);
+            }
+        }
+
+        this.report({ state: 'done', description: '', finishedAt: new Date().toISOString() });
+        return this.progress;
+    }
+
+    cancel(reason = 'Cancelled') {
+        if (this.cancelled || this.progress.state !== 'running') return;
+        this.cancelled = true;
+        this.report({ state: 'cancelled', error: reason, finishedAt: new Date().toISOString() });
+        if (this.wake) this.wake();
+    }
+}
+
+module.exports = {
+    BUILTIN_PLACEHOLDERS,
+    normalizeSteps,
+    getSteps,
+    promptArguments,
+    MacroRun
+};
@@ -0,0 +1,341 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const METRICS_DIR = path.join(__dirname, 'data', 'metrics');
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY = 86400000;
+const MAX_BUCKETS = 500;
+
+// Records are kept short since there is one per bot per sample interval:
+//   sample: { t: epoch ms, s: state, p: ping, h: health }
+//   event:  { t: epoch ms, e: 'state', s: new state, r: reason }
+class MetricsStore {
+    constructor() {
+        this.pending = new Map(); // botId -> array of records waiting to be written
+        this.writing = new Map(); // botId -> promise of the current flush
+        this.retentionDays = DEFAULT_RETENTION_DAYS;
+        this.pruneTimer = null;
+    }
+
+    // Bot ids become directory names, so only allow safe characters
+    sanitizeId(botId) {
+        return String(botId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    dayKey(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    // One file per bot per day: data/metrics/<botId>/<YYYY-MM-DD>.jsonl
+    botDir(botId) {
+        return path.join(METRICS_DIR, this.sanitizeId(botId));
+    }
+
+    // Record a periodic sample of a bot's status
+    sample(botId, status) {
+        const stats = status.stats || {};
+        const record = { t: Date.now(), s: status.state || 'idle' };
+        if (typeof stats.ping === 'number') record.p = stats.ping;
+        if (typeof stats.health === 'number') record.h = Math.round(stats.health * 10) / 10;
+        this.append(botId, record);
+    }
+
+    // Record a state change as it happens, so short outages between samples still show up
+    event(botId, state, reason) {
+        const record = { t: Date.now(), e: 'state', s: state };
+        if (reason) record.r = String(reason).slice(0, 200);
+        this.append(botId, record);
+    }
+
+    append(botId, record) {
+        const queue = this.pending.get(botId) || [];
+        queue.push(record);
+        this.pending.set(botId, queue);
+
+        if (!this.writing.has(botId)) {
+            this.writing.set(botId, this.flush(botId));
+        }
+    }
+
+    async flush(botId) {
+        try {
+            // Samples for every bot are taken in the same tick, batch them
+            await new Promise(resolve => setImmediate(resolve));
+
+            while ((this.pending.get(botId) || []).length > 0) {
+                const records = this.pending.get(botId);
+                this.pending.set(botId, []);
+
+                const byDay = new Map();
+                records.forEach(record => {
+                    const day = this.dayKey(record.t);
+                    const lines = byDay.get(day) || [];
+                    lines.push(JSON.stringify(record));
+                    byDay.set(day, lines);
+                });
+
+                const dir = this.botDir(botId);
+                await fs.mkdir(dir, { recursive: true });
+                for (const [day, lines] of byDay) {
+                    await fs.appendFile(path.join(dir, `${day}.jsonl`), lines.join('\n') + '\n', 'utf8');
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to write metrics for ${botId}:`, error);
+        } finally {
+            this.writing.delete(botId);
+        }
+    }
+
+    // Read all records of a bot between two timestamps, oldest first
+    async read(botId, from, to) {
+        if (this.writing.has(botId)) {
+            await this.writing.get(botId);
+        }
+
+        let files;
+        try {
+            files = await fs.readdir(this.botDir(botId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fromDay = this.dayKey(from);
+        const toDay = this.dayKey(to);
+        const days = files
+            .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+            .map(file => file.slice(0, 10))
+            .filter(day => day >= fromDay && day <= toDay)
+            .sort();
+
+        const records = [];
+        for (const day of days) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(this.botDir(botId), `${day}.jsonl`), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            content.split('\n').forEach(line => {
+                if (!line) return;
+                try {
+                    const record = JSON.parse(line);
+                    if (record.t >= from && record.t <= to) {
+                        records.push(record);
+                    }
+                } catch (e) {
+                    // Skip partially written lines
+                }
+            });
+        }
+        return records;
+    }
+
+    // Pick a bucket size that keeps the response small
+    resolveResolution(from, to, resolution) {
+        const minimum = Math.ceil((to - from) / MAX_BUCKETS);
+        const requested = parseDuration(resolution);
+        if (requested) return Math.max(requested, minimum, 60000);
+
+        const steps = [60000, 300000, 900000, 3600000, 6 * 3600000, DAY];
+        return steps.find(step => (to - from) / step <= 200) || Math.max(DAY, minimum);
+    }
+
+    // Aggregated metrics for one bot.
+    // options: from, to (epoch ms), resolution ('5m', '1h', '1d' or seconds)
+    async query(botId, options = {}) {
+        const to = options.to || Date.now();
+        const from = options.from || to - DAY;
+        const resolution = this.resolveResolution(from, to, options.resolution);
+        const records = await this.read(botId, from, to);
+
+        const buckets = [];
+        for (let start = Math.floor(from / resolution) * resolution; start <= to; start += resolution) {
+            buckets.push({ t: start, samples: 0, online: 0, pingTotal: 0, pingCount: 0, healthTotal: 0, healthCount: 0, reconnects: 0 });
+        }
+        const bucketFor = (time) => buckets[Math.floor((time - buckets[0].t) / resolution)];
+
+        const events = [];
+        records.forEach(record => {
+            const bucket = bucketFor(record.t);
+            if (!bucket) return;
+
+            if (record.e) {
+                if (record.s === 'backoff') bucket.reconnects++;
+                events.push({ timestamp: new Date(record.t).toISOString(), state: record.s, reason: record.r || null });
+                return;
+            }
+
+            bucket.samples++;
+            if (record.s === 'online') bucket.online++;
+            if (record.p !== undefined) {
+                bucket.pingTotal += record.p;
+                bucket.pingCount++;
+            }
+            if (record.h !== undefined) {
+                bucket.healthTotal += record.h;
+                bucket.healthCount++;
+            }
+        });
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            resolution,
+            points: buckets.map(bucket => ({
+                timestamp: new Date(bucket.t).toISOString(),
+                samples: bucket.samples,
+                uptime: bucket.samples ? Math.round(bucket.online / bucket.samples * 1000) / 10 : null,
+                ping: bucket.pingCount ? Math.round(bucket.pingTotal / bucket.pingCount) : null,
+                health: bucket.healthCount ? Math.round(bucket.healthTotal / bucket.healthCount * 10) / 10 : null,
+                reconnects: bucket.reconnects
+            })),
+            events,
+            uptime: summarizeUptime(records)
+        };
+    }
+
+    // Combined view of several bots: average uptime and ping, total reconnects
+    async fleet(botIds, options = {}) {
+        const results = [];
+        for (const botId of botIds) {
+            results.push({ botId, ...(await this.query(botId, options)) });
+        }
+
+        const to = options.to || Date.now();
+        const from = options.from || to - DAY;
+        const resolution = this.resolveResolution(from, to, options.resolution);
+        const points = (results[0] ? results[0].points : []).map((point, index) => {
+            const withData = results.map(result => result.points[index]).filter(p => p.samples > 0);
+            const pings = withData.filter(p => p.ping !== null);
+            return {
+                timestamp: point.timestamp,
+                bots: withData.length,
+                online: Math.round(withData.reduce((sum, p) => sum + p.uptime / 100, 0) * 10) / 10,
+                uptime: withData.length ? 
+                    Math.round(withData.reduce((sum, p) => sum + p.uptime, 0) / withData.length * 10) / 10 : null,
+                ping: pings.length ? Math.round(pings.reduce((sum, p) => sum + p.ping, 0) / pings.length) : null,
+                reconnects: results.reduce((sum, result) => sum + result.points[index].reconnects, 0)
+            };
+        });
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            resolution,
+            points,
+            bots: results.map(result => ({
+                botId: result.botId,
+                uptime: result.uptime.overall,
+                reconnects: result.events.filter(event => event.state === 'backoff').length
+            }))
+        };
+    }
+
+    // Remove day files older than the retention window
+    async prune() {
+        let bots;
+        try {
+            bots = await fs.readdir(METRICS_DIR);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const cutoff = this.dayKey(Date.now() - this.retentionDays * DAY);
+
+        for (const botDir of bots) {
+            const files = await fs.readdir(path.join(METRICS_DIR, botDir)).catch(() => []);
+            for (const file of files) {
+                if (/^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file) && file.slice(0, 10) < cutoff) {
+                    await fs.unlink(path.join(METRICS_DIR, botDir, file)).catch(() => {});
+                }
+            }
+        }
+    }
+
+    // Apply config and start the daily prune job
+    configure(options = {}) {
+        if (options.retentionDays) {
+            this.retentionDays = Math.max(1, parseInt(options.retentionDays));
+        }
+
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+        }
+
+        this.prune().catch(error => console.error('Failed to prune metrics:', error));
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => console.error('Failed to prune metrics:', error));
+        }, DAY);
+        this.pruneTimer.unref();
+    }
+}
+
+// '90' (seconds), '5m', '1h', '1d' -> ms
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = /^(\d+)\s*(s|m|h|d)?$/i.exec(String(value).trim());
+    if (!match) return null;
+
+    const units = { s: 1000, m: 60000, h: 3600000, d: DAY };
+    return parseInt(match[1]) * units[(match[2] || 's').toLowerCase()];
+}
+
+// Monday of the week a day belongs to (UTC)
+function weekKey(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().slice(0, 10);
+}
+
+// Uptime percentage per day and per week; only time the panel was sampling counts
+function summarizeUptime(records) {
+    const groups = { days: new Map(), weeks: new Map() };
+    let samples = 0;
+    let online = 0;
+
+    records.forEach(record => {
+        if (record.e) return;
+
+        const day = new Date(record.t).toISOString().slice(0, 10);
+        [['days', day], ['weeks', weekKey(day)]].forEach(([group, key]) => {
+            const entry = groups[group].get(key) || { samples: 0, online: 0 };
+            entry.samples++;
+            if (record.s === 'online') entry.online++;
+            groups[group].set(key, entry);
+        });
+
+        samples++;
+        if (record.s === 'online') online++;
+    });
+
+    const percent = (entry) => Math.round(entry.online / entry.samples * 1000) / 10;
+    const list = (group, key) => [...groups[group].entries()].map(([start, entry]) => ({
+        [key]: start,
+        uptime: percent(entry),
+        samples: entry.samples
+    }));
+
+    return {
+        overall: samples ? percent({ samples, online }) : null,
+        days: list('days', 'day'),
+        weeks: list('weeks', 'weekStart')
+    };
+}
+
+// Create singleton instance
+const metricsStore = new MetricsStore();
+
+module.exports = {
+    sample: (botId, status) => metricsStore.sample(botId, status),
+    event: (botId, state, reason) => metricsStore.event(botId, state, reason),
+    query: (botId, options) => metricsStore.query(botId, options),
+    fleet: (botIds, options) => metricsStore.fleet(botIds, options),
+    prune: () => metricsStore.prune(),
+    configure: (options) => metricsStore.configure(options),
+    parseDuration
+};
@@ -0,0 +1,8 @@
+// {name} placeholders in chat replies, bridge templates, rule actions and
+// macro commands. Unknown placeholders are left as they are.
+
+function fill(template, values) {
+    return template.replace(/\{([\w.]+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+module.exports = { fill };
@@ -0,0 +1,90 @@
+// Prometheus text exposition for /metrics.
+//
+// Panel counters live here and are bumped from server.js; per-bot gauges are
+// rendered from the bot statuses at scrape time.
+
+const counters = new Map(); // name -> { help, values: Map(labelString -> number) }
+
+function defineCounter(name, help) {
+    counters.set(name, { help, values: new Map() });
+}
+
+defineCounter('mcbp_logins_total', 'Login attempts by result');
+defineCounter('mcbp_api_requests_total', 'API requests by method and status code');
+defineCounter('mcbp_api_errors_total', 'API requests that failed with a server error');
+
+// Label values may contain anything, escape them per the text format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function increment(name, labels = {}, amount = 1) {
+    const counter = counters.get(name);
+    if (!counter) return;
+
+    const key = formatLabels(labels);
+    counter.values.set(key, (counter.values.get(key) || 0) + amount);
+}
+
+// Start known series at zero so rate() works before the first event
+increment('mcbp_logins_total', { result: 'success' }, 0);
+increment('mcbp_logins_total', { result: 'failure' }, 0);
+increment('mcbp_api_errors_total', {}, 0);
+
+// Count every API request once the response has been sent
+function requestCounter(req, res, next) {
+    res.on('finish', () => {
+        increment('mcbp_api_requests_total', { method: req.method, status: res.statusCode });
+        if (res.statusCode >= 500) {
+            increment('mcbp_api_errors_total');
+        }
+    });
+    next();
+}
+
+const BOT_GAUGES = [
+    ['mcbp_bot_online', 'Whether the bot is online (1) or not (0)', info => info.status.state === 'online' ? 1 : 0],
+    ['mcbp_bot_ping_milliseconds', 'Latest ping to the server', info => info.status.stats && info.status.stats.ping],
+    ['mcbp_bot_health', 'Bot health (0-20)', info => info.status.stats && info.status.stats.health],
+    ['mcbp_bot_food', 'Bot food level (0-20)', info => info.status.stats && info.status.stats.food],
+    ['mcbp_bot_reconnect_attempts', 'Reconnect attempts since the last stable connection', info => info.reconnectAttempts],
+    ['mcbp_bot_queued_messages', 'Messages waiting for the bot to come online', info => info.queuedMessages],
+    ['mcbp_bot_uptime_seconds', 'Seconds since the bot connected, 0 when offline', info =>
+        info.status.state === 'online' && info.status.connectedSince ?
+            Math.floor((Date.now() - Date.parse(info.status.connectedSince)) / 1000) : 0]
+];
+
+// bots: [{ id, name, status, reconnectAttempts, queuedMessages }]
+function render(bots) {
+    const lines = [];
+
+    BOT_GAUGES.forEach(([name, help, value]) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} gauge`);
+        bots.forEach(bot => {
+            const sample = value(bot);
+            if (typeof sample === 'number' && !isNaN(sample)) {
+                lines.push(`${name}${formatLabels({ bot: bot.id, name: bot.name })} ${sample}`);
+            }
+        });
+    });
+
+    counters.forEach((counter, name) => {
+        lines.push(`# HELP ${name} ${counter.help}`);
+        lines.push(`# TYPE ${name} counter`);
+        counter.values.forEach((count, labels) => lines.push(`${name}${labels} ${count}`));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    increment,
+    requestCounter,
+    render
+};
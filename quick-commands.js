@@ -0,0 +1,132 @@
+// Quick command library with visibility scopes.
+//
+// quick-commands.json holds a single list:
+//   {
+//       version: 2,
+//       commands: [{
+//           id, name, steps, command,
+//           owner: 'username',
+//           scope: 'personal',   // see SCOPES
+//           botId: 'bot-...',    // null when the command can run on any bot
+//           roles: [],           // role ids for the 'role' scope
+//           created, createdBy, updated
+//       }]
+//   }
+// Before scopes the file mapped each username to their own commands, with
+// botId 'global' for commands not tied to a bot; storage migrates that format
+// to version 2 when the file is first read.
+
+const path = require('path');
+const botAccess = require('./bot-access');
+const storage = require('./storage');
+
+const QC_PATH = path.join(__dirname, 'data', 'quick-commands.json');
+
+const SCOPES = {
+    personal: 'Only me',
+    bot: 'Everyone with access to the bot',
+    global: 'Everyone',
+    role: 'Selected roles'
+};
+
+function isAdmin(user) {
+    return user.permissions.includes('*');
+}
+
+// Convert the per-user file format; returns { data, migrated } where migrated
+// is the number of converted commands
+function migrate(data) {
+    if (data && Array.isArray(data.commands)) {
+        return { data, migrated: 0 };
+    }
+
+    const commands = [];
+    Object.entries(data || {}).forEach(([username, userQCs]) => {
+        (Array.isArray(userQCs) ? userQCs : []).forEach(qc => {
+            commands.push({
+                ...qc,
+                owner: qc.createdBy || username,
+                scope: 'personal',
+                botId: qc.botId && qc.botId !== 'global' ? qc.botId : null,
+                roles: []
+            });
+        });
+    });
+    return { data: { version: 2, commands }, migrated: commands.length };
+}
+
+storage.define(QC_PATH, {
+    defaultValue: { version: 2, commands: [] },
+    version: 2,
+    migrations: { 2: data => migrate(data).data }
+});
+
+async function load() {
+    return (await storage.read(QC_PATH)).commands;
+}
+
+// Change the command list without losing concurrent changes: fn gets the list
+// to change in place and its return value is passed through (see storage.update)
+function update(fn) {
+    return storage.update(QC_PATH, data => fn(data.commands));
+}
+
+// Whether a command may be run on the given bot
+function usableOn(qc, botId) {
+    return !qc.botId || qc.botId === botId;
+}
+
+// Whether the user can see (and so copy or run) a command.
+// bots: bot configs, needed for the 'bot' scope
+function canSee(qc, user, bots) {
+    if (isAdmin(user) || qc.owner === user.username) return true;
+
+    switch (qc.scope) {
+        case 'global':
+            return true;
+        case 'bot': {
+            const bot = bots.find(candidate => candidate.id === qc.botId);
+            return !!bot && botAccess.canAccess(bot, user, 'view');
+        }
+        case 'role':
+            return (qc.roles || []).includes(user.role);
+        default:
+            return false;
+    }
+}
+
+// Only the owner and admins change or delete a command
+function canManage(qc, user) {
+    return isAdmin(user) || qc.owner === user.username;
+}
+
+// Validate the sharing fields from the API; returns { fields } or { error }.
+// roleIds: the roles that exist
+function normalizeScope(input, botId, roleIds) {
+    const scope = SCOPES[input.scope] ? input.scope : 'personal';
+    const fields = { scope, botId: botId || null, roles: [] };
+
+    if (scope === 'bot' && !fields.botId) {
+        return { error: 'Pick the bot to share the command with' };
+    }
+    if (scope === 'global') {
+        fields.botId = null;
+    }
+    if (scope === 'role') {
+        fields.roles = (Array.isArray(input.roles) ? input.roles : []).filter(role => roleIds.includes(role));
+        if (fields.roles.length === 0) return { error: 'Select at least one role' };
+    }
+    return { fields };
+}
+
+module.exports = {
+    SCOPES,
+    QC_PATH,
+    migrate,
+    load,
+    update,
+    usableOn,
+    canSee,
+    canManage,
+    normalizeScope
+};
@@ -0,0 +1,144 @@
+// Reconnect policy and kick reason classification.
+//
+// Each bot can override the policy through the `reconnect` field in bots.json:
+//   { maxAttempts: 0, baseDelay: 5000, maxDelay: 300000, multiplier: 1.5, jitter: 0.2, giveUpAfter: 0 }
+// maxAttempts and giveUpAfter (ms since the first failure) of 0 mean "never give up".
+
+const DEFAULT_POLICY = {
+    maxAttempts: 0,
+    baseDelay: 5000,
+    maxDelay: 300000, // 5 minutes
+    multiplier: 1.5,
+    jitter: 0.2, // Fraction of the delay to randomly add or remove
+    giveUpAfter: 0
+};
+
+// Checked in order, the first match wins
+const KICK_RULES = [
+    {
+        category: 'banned',
+        pattern: /\bbanned\b|\bban(ned)? (from|until|for)\b|you are banned/i,
+        retry: false,
+        description: 'banned from the server'
+    },
+    {
+        category: 'whitelist',
+        pattern: /white-?list/i,
+        retry: false,
+        description: 'not whitelisted'
+    },
+    {
+        category: 'outdated',
+        pattern: /outdated (client|server)|incompatible (client|version)|unsupported (client|protocol) version/i,
+        retry: false,
+        description: 'Minecraft version mismatch'
+    },
+    {
+        category: 'duplicate_login',
+        pattern: /logged in from another location|already (logged in|connected|online|playing)|duplicate login/i,
+        retry: true,
+        minDelay: 60000,
+        description: 'account logged in elsewhere'
+    },
+    {
+        category: 'throttled',
+        pattern: /throttl|too (fast|quickly|many connections)|wait (before|\d+ seconds)|connection refused.*(rate|limit)/i,
+        retry: true,
+        minDelay: 30000,
+        description: 'connection throttled'
+    },
+    {
+        category: 'server_restart',
+        pattern: /restart|server (is )?(closed|closing|stopping|shutting down)|shutting down/i,
+        retry: true,
+        fixedDelay: 10000,
+        description: 'server restarting'
+    }
+];
+
+// Kick reasons can be chat components (JSON), flatten them to text
+function reasonText(reason) {
+    if (reason === null || reason === undefined) return '';
+    if (typeof reason === 'object') return flatten(reason);
+
+    const text = String(reason);
+    if (text.startsWith('{') || text.startsWith('[') || text.startsWith('"')) {
+        try {
+            return flatten(JSON.parse(text));
+        } catch (error) {
+            return text;
+        }
+    }
+    return text;
+}
+
+function flatten(component) {
+    if (typeof component === 'string') return component;
+    if (Array.isArray(component)) return component.map(flatten).join('');
+    if (!component || typeof component !== 'object') return '';
+
+    let text = component.text || component.translate || '';
+    if (component.with) text += ' ' + component.with.map(flatten).join(' ');
+    if (component.extra) text += component.extra.map(flatten).join('');
+    return text;
+}
+
+// Classify why a bot was disconnected
+function classify(reason) {
+    const text = reasonText(reason);
+    const rule = KICK_RULES.find(candidate => candidate.pattern.test(text));
+    if (rule) {
+        const { pattern, ...result } = rule;
+        return { ...result, text };
+    }
+    return { category: 'unknown', retry: true, description: 'disconnected', text };
+}
+
+// Merge per-bot overrides with the defaults
+function resolvePolicy(overrides = {}) {
+    const policy = { ...DEFAULT_POLICY };
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+        const value = parseFloat(overrides[key]);
+        if (!isNaN(value) && value >= 0) {
+            policy[key] = value;
+        }
+    });
+    return policy;
+}
+
+// Decide what to do after a disconnect.
+// state: { attempts (failures so far, including this one), firstFailureAt }
+// Returns { retry, delay, reason } where reason explains the decision.
+function decide(policy, state, classification) {
+    if (!classification.retry) {
+        return { retry: false, delay: 0, reason: `${classification.description}, not reconnecting` };
+    }
+
+    if (policy.maxAttempts > 0 && state.attempts > policy.maxAttempts) {
+        return { retry: false, delay: 0, reason: `gave up after ${policy.maxAttempts} attempts` };
+    }
+
+    if (policy.giveUpAfter > 0 && Date.now() - state.firstFailureAt > policy.giveUpAfter) {
+        return { retry: false, delay: 0, reason: `gave up after ${Math.round(policy.giveUpAfter / 60000)} minutes of failures` };
+    }
+
+    let delay = classification.fixedDelay || 
+        Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.multiplier, state.attempts - 1));
+
+    // Spread reconnects out so several bots don't hit the server at once
+    delay = Math.round(delay * (1 + (Math.random() * 2 - 1) * policy.jitter));
+
+    if (classification.minDelay) {
+        delay = Math.max(delay, classification.minDelay);
+    }
+
+    return { retry: true, delay, reason: classification.description };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    reasonText,
+    classify,
+    resolvePolicy,
+    decide
+};
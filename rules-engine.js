@@ -0,0 +1,294 @@
+// Automation rules: "when this happens to a bot, do that".
+//
+// Each bot keeps its rules in the `rules` array of its config:
+//   {
+//       id, name, enabled: true,
+//       trigger: { type: 'chat', pattern: 'help me' },   // see TRIGGERS
+//       action: { type: 'reply', message: 'On my way, {username}' },   // see ACTIONS
+//       cooldown: 30                                      // seconds between two runs of the rule
+//   }
+// Messages and quick command arguments can use the values of the event:
+// {username}, {message}, {health}, {food}, {reason}, {from}, {to} and {bot},
+// plus {1}, {2}, ... for the groups of a chat pattern.
+
+const botCtrl = require('./bot-control');
+const qcLibrary = require('./quick-commands');
+const { fill } = require('./placeholders');
+
+const TRIGGERS = {
+    chat: 'Chat matches pattern',
+    player_join: 'Player joins',
+    player_leave: 'Player leaves',
+    low_health: 'Health drops low',
+    kicked: 'Bot is kicked',
+    death: 'Bot dies',
+    dimension_change: 'Bot changes dimension'
+};
+
+const ACTIONS = {
+    reply: 'Send a message',
+    quick_command: 'Run a quick command',
+    stop: 'Stop the bot',
+    notify: 'Send a notification'
+};
+
+const DEFAULT_COOLDOWN = 30;
+const MAX_COOLDOWN = 86400;
+const MAX_RULES = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 256;
+
+// Event values end up in chat, keep them on one line and out of command position
+function cleanValue(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[\r\n]+/g, ' ').replace(/^\/+/, '');
+}
+
+function dimensionName(dimension) {
+    return String(dimension || '').replace('minecraft:', '');
+}
+
+class RulesEngine {
+    constructor() {
+        this.handlers = {};
+        this.patterns = new Map(); // pattern -> RegExp
+        this.cooldowns = new Map(); // botId -> Map(ruleId -> time the rule may run again)
+        this.health = new Map(); // botId -> last health seen
+        this.stats = new Map(); // botId -> Map(ruleId -> { count, lastFired, lastResult })
+    }
+
+    // One bot's entries of a botId -> Map(ruleId -> value) map
+    forBot(map, botId) {
+        if (!map.has(botId)) map.set(botId, new Map());
+        return map.get(botId);
+    }
+
+    // handlers: { setBotRunning(botId, running) }
+    start(handlers) {
+        this.handlers = handlers;
+    }
+
+    getPattern(pattern) {
+        if (!this.patterns.has(pattern)) {
+            this.patterns.set(pattern, new RegExp(pattern, 'i'));
+        }
+        return this.patterns.get(pattern);
+    }
+
+    // Values for the rule's templates if the event triggers it, otherwise null
+    match(rule, event) {
+        const trigger = rule.trigger;
+        const data = event.data || {};
+
+        switch (trigger.type) {
+            case 'chat': {
+                // Other bots could answer each other forever
+                if (event.type !== 'chat' || botCtrl.isBotUsername(data.username)) return null;
+                const match = this.getPattern(trigger.pattern).exec(data.message);
+                if (!match) return null;
+                const values = { username: data.username, message: data.message };
+                match.slice(1).forEach((group, index) => {
+                    values[index + 1] = group || '';
+                });
+                return values;
+            }
+            case 'player_join':
+            case 'player_leave': {
+                if (event.type !== trigger.type) return null;
+                if (trigger.username && trigger.username.toLowerCase() !== String(data.username).toLowerCase()) return null;
+                return { username: data.username };
+            }
+            case 'low_health': {
+                if (event.type !== 'health') return null;
+                // Only when health crosses the threshold, not on every hit below it
+                const previous = event.previousHealth;
+                if (data.health > trigger.threshold || (previous !== undefined && previous <= trigger.threshold)) return null;
+                return { health: Math.round(data.health), food: data.food };
+            }
+            case 'kicked':
+                return event.type === 'kicked' ? { reason: data.reason } : null;
+            case 'death':
+                return event.type === 'death' ? {} : null;
+            case 'dimension_change': {
+                if (event.type !== 'dimension_change') return null;
+                const to = dimensionName(data.to);
+                if (trigger.dimension && trigger.dimension !== to) return null;
+                return { from: dimensionName(data.from), to };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Bot events from BotManager
+    handleEvent(event) {
+        if (event.type === 'health') {
+            event = { ...event, previousHealth: this.health.get(event.botId) };
+            this.health.set(event.botId, event.data.health);
+        }
+
+        const config = botCtrl.getBotConfig(event.botId);
+        const rules = config && Array.isArray(config.rules) ? config.rules : [];
+
+        rules.forEach(rule => {
+            if (rule.enabled === false) return;
+
+            let values;
+            try {
+                values = this.match(rule, event);
+            } catch (error) {
+                return; // Rules are validated on save, a bad one just never fires
+            }
+            if (!values) return;
+
+            const cooldowns = this.forBot(this.cooldowns, event.botId);
+            if ((cooldowns.get(rule.id) || 0) > Date.now()) return;
+            cooldowns.set(rule.id, Date.now() + rule.cooldown * 1000);
+
+            const cleaned = { bot: config.username };
+            Object.entries(values).forEach(([name, value]) => {
+                cleaned[name] = cleanValue(value);
+            });
+            this.run(event.botId, rule, cleaned);
+        });
+    }
+
+    async run(botId, rule, values) {
+        let result;
+        try {
+            result = await this.execute(botId, rule, values);
+            botCtrl.emitLog(botId, 'info', `Rule "${rule.name}": ${result}`);
+        } catch (error) {
+            result = error.message;
+            botCtrl.emitLog(botId, 'warn', `Rule "${rule.name}" failed: ${error.message}`);
+        }
+
+        const botStats = this.forBot(this.stats, botId);
+        const stats = botStats.get(rule.id) || { count: 0 };
+        botStats.set(rule.id, { count: stats.count + 1, lastFired: new Date().toISOString(), lastResult: result });
+    }
+
+    // Carry out the rule's action; returns a short result or throws
+    async execute(botId, rule, values) {
+        const action = rule.action;
+
+        switch (action.type) {
+            case 'reply': {
+                // Don't queue replies for after a kick
+                if (botCtrl.getBotStatus(botId).state !== 'online') {
+                    throw new Error('Bot is not online');
+                }
+                const message = fill(action.message, values).slice(0, MAX_MESSAGE_LENGTH);
+                botCtrl.sendMessage(botId, message);
+                return `Sent: ${message}`;
+            }
+            case 'quick_command': {
+                const commands = await qcLibrary.load();
+                const qc = commands.find(candidate => candidate.id === action.quickCommandId);
+                if (!qc || !qcLibrary.usableOn(qc, botId)) {
+                    throw new Error('Quick command no longer exists');
+                }
+                const args = {};
+                Object.entries(action.args || {}).forEach(([name, template]) => {
+                    args[name] = fill(template, values);
+                });
+                if (!botCtrl.runMacro(botId, qc, args, `rule ${rule.name}`)) {
+                    throw new Error('Another quick command is still running');
+                }
+                return `Started ${qc.name}`;
+            }
+            case 'stop':
+                await this.handlers.setBotRunning(botId, false);
+                return 'Stopped the bot';
+            case 'notify': {
+                const message = fill(action.message, values);
+                botCtrl.emitEvent(botId, 'rule', { rule: rule.name, message });
+                return `Notification: ${message}`;
+            }
+            default:
+                throw new Error(`Unknown action ${action.type}`);
+        }
+    }
+
+    // { ruleId: { count, lastFired, lastResult } } since the panel started
+    getStats(botId) {
+        return Object.fromEntries(this.stats.get(botId) || []);
+    }
+}
+
+// Validate and clean a bot's rules from the API; returns { rules } or { error }
+function normalizeRules(input) {
+    if (!Array.isArray(input)) return { error: 'Rules must be a list' };
+    if (input.length > MAX_RULES) return { error: `A bot can have at most ${MAX_RULES} rules` };
+
+    const rules = [];
+    for (const [index, raw] of input.entries()) {
+        const label = `Rule ${index + 1}`;
+        const trigger = raw.trigger || {};
+        const action = raw.action || {};
+
+        const rule = {
+            id: String(raw.id || '').trim() || `rule-${Date.now()}-${index}`,
+            name: String(raw.name || '').trim(),
+            enabled: raw.enabled !== false,
+            trigger: { type: trigger.type },
+            action: { type: action.type },
+            cooldown: Math.min(Math.max(parseInt(raw.cooldown), 0), MAX_COOLDOWN)
+        };
+        if (isNaN(rule.cooldown)) rule.cooldown = DEFAULT_COOLDOWN;
+
+        if (!rule.name) return { error: `${label}: enter a name` };
+        if (!TRIGGERS[trigger.type]) return { error: `${label}: pick a trigger` };
+        if (!ACTIONS[action.type]) return { error: `${label}: pick an action` };
+
+        if (trigger.type === 'chat') {
+            rule.trigger.pattern = String(trigger.pattern || '').trim();
+            if (!rule.trigger.pattern) return { error: `${label}: enter a chat pattern` };
+            if (rule.trigger.pattern.length > MAX_PATTERN_LENGTH) return { error: `${label}: the pattern is too long` };
+            try {
+                new RegExp(rule.trigger.pattern, 'i');
+            } catch (error) {
+                return { error: `${label}: invalid pattern` };
+            }
+        }
+        if (trigger.type === 'player_join' || trigger.type === 'player_leave') {
+            rule.trigger.username = String(trigger.username || '').trim();
+        }
+        if (trigger.type === 'low_health') {
+            rule.trigger.threshold = Math.min(Math.max(parseInt(trigger.threshold) || 6, 1), 19);
+        }
+        if (trigger.type === 'dimension_change') {
+            rule.trigger.dimension = dimensionName(String(trigger.dimension || '').trim().toLowerCase());
+        }
+
+        if (action.type === 'reply' || action.type === 'notify') {
+            rule.action.message = String(action.message || '').replace(/[\r\n]+/g, ' ').trim();
+            if (!rule.action.message) return { error: `${label}: enter a message` };
+        }
+        if (action.type === 'quick_command') {
+            rule.action.quickCommandId = String(action.quickCommandId || '').trim();
+            if (!rule.action.quickCommandId) return { error: `${label}: pick a quick command` };
+            rule.action.args = {};
+            Object.entries(action.args || {}).forEach(([name, value]) => {
+                rule.action.args[name] = String(value);
+            });
+        }
+
+        rules.push(rule);
+    }
+
+    const ids = rules.map(rule => rule.id);
+    if (new Set(ids).size !== ids.length) return { error: 'Rule ids must be unique' };
+    return { rules };
+}
+
+// Create singleton instance
+const rulesEngine = new RulesEngine();
+
+module.exports = {
+    TRIGGERS,
+    ACTIONS,
+    start: (handlers) => rulesEngine.start(handlers),
+    handleEvent: (event) => rulesEngine.handleEvent(event),
+    getStats: (botId) => rulesEngine.getStats(botId),
+    normalizeRules
+};
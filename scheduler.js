@@ -0,0 +1,319 @@
+// Scheduled bot actions.
+//
+// schedules.json holds a list of schedules:
+//   {
+//       id, name, botId, enabled: true,
+//       type: 'cron',                      // or 'once'
+//       cron: '0 4 * * *',                 // see cron.js
+//       runAt: '2025-06-01T04:00',         // wall clock time for 'once'
+//       timezone: 'Europe/Berlin',
+//       action: { type: 'restart' },       // see ACTIONS
+//       created, createdBy, updated,
+//       nextRun, lastRun: { at, ok, message, trigger },
+//       history: []                        // the most recent runs, newest first
+//   }
+// Runs missed while the panel was down are not caught up; a one-shot schedule
+// whose time passed is recorded as missed and switched off.
+
+const path = require('path');
+const botCtrl = require('./bot-control');
+const qcLibrary = require('./quick-commands');
+const cron = require('./cron');
+const storage = require('./storage');
+
+const SCHEDULES_PATH = storage.define(path.join(__dirname, 'data', 'schedules.json'), { defaultValue: [] });
+
+const ACTIONS = {
+    start: 'Start bot',
+    stop: 'Stop bot',
+    restart: 'Restart bot',
+    message: 'Send message',
+    quick_command: 'Run quick command'
+};
+
+const MAX_HISTORY = 20;
+const RESTART_DELAY = 5000; // Between stopping and starting again
+const MAX_TIMER = 60000; // Re-check at least this often, in case the clock changes
+
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// When a schedule runs next after `after`, or null if it won't
+function computeNextRun(schedule, after = new Date()) {
+    if (schedule.enabled === false) return null;
+
+    if (schedule.type === 'once') {
+        const runAt = cron.parseLocalTime(schedule.runAt, schedule.timezone);
+        return runAt && runAt > after ? runAt.toISOString() : null;
+    }
+
+    const { cron: parsed } = cron.parse(schedule.cron);
+    const next = parsed ? cron.nextRun(parsed, schedule.timezone, after) : null;
+    return next ? next.toISOString() : null;
+}
+
+class Scheduler {
+    constructor() {
+        this.schedules = [];
+        this.handlers = {};
+        this.timer = null;
+        this.running = new Set(); // ids of schedules whose action is in progress
+    }
+
+    // handlers: { setBotRunning(botId, running), onRun(schedule, run) }
+    async start(handlers) {
+        this.handlers = handlers;
+
+        this.schedules = await storage.read(SCHEDULES_PATH);
+
+        // One-shot schedules that should have run while the panel was down
+        const now = new Date();
+        this.schedules.forEach(schedule => {
+            if (schedule.type === 'once' && schedule.enabled !== false) {
+                const runAt = cron.parseLocalTime(schedule.runAt, schedule.timezone);
+                if (runAt && runAt <= now) {
+                    this.record(schedule, { at: now.toISOString(), ok: false, message: 'Missed, the panel was not running', trigger: 'schedule' });
+                    schedule.enabled = false;
+                }
+            }
+            schedule.nextRun = computeNextRun(schedule, now);
+        });
+
+        await this.save();
+        this.arm();
+        return this.schedules.length;
+    }
+
+    // The schedules live here, the file only keeps them across restarts
+    save() {
+        return storage.write(SCHEDULES_PATH, this.schedules)
+            .catch(error => console.error('Failed to save schedules:', error.message));
+    }
+
+    // Wake up for the next due schedule
+    arm() {
+        clearTimeout(this.timer);
+
+        const due = this.schedules
+            .filter(schedule => schedule.nextRun)
+            .map(schedule => Date.parse(schedule.nextRun));
+        if (due.length === 0) return;
+
+        const delay = Math.min(Math.max(Math.min(...due) - Date.now(), 0), MAX_TIMER);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    tick() {
+        const now = new Date();
+        this.schedules.forEach(schedule => {
+            if (schedule.nextRun && Date.parse(schedule.nextRun) <= now.getTime()) {
+                schedule.nextRun = schedule.type === 'once' ? null : computeNextRun(schedule, now);
+                this.run(schedule, 'schedule');
+            }
+        });
+        this.save();
+        this.arm();
+    }
+
+    // Run a schedule's action now; resolves with the run record
+    async run(schedule, trigger, user = null) {
+        if (this.running.has(schedule.id)) {
+            return { at: new Date().toISOString(), ok: false, message: 'Still running', trigger, user };
+        }
+
+        this.running.add(schedule.id);
+        const run = { at: new Date().toISOString(), ok: true, message: '', trigger, user };
+        try {
+            run.message = await this.execute(schedule);
+        } catch (error) {
+            run.ok = false;
+            run.message = error.message;
+        }
+        this.running.delete(schedule.id);
+
+        // The schedule may have been edited or deleted while it ran
+        const current = this.get(schedule.id);
+        if (current) {
+            this.record(current, run);
+            if (current.type === 'once' && trigger === 'schedule') {
+                current.enabled = false;
+                current.nextRun = null;
+            }
+            this.save();
+        }
+        if (this.handlers.onRun) {
+            this.handlers.onRun(schedule, run);
+        }
+        return run;
+    }
+
+    record(schedule, run) {
+        schedule.lastRun = run;
+        schedule.history = [run, ...(schedule.history || [])].slice(0, MAX_HISTORY);
+    }
+
+    // Carry out the action; returns a short result or throws
+    async execute(schedule) {
+        const { botId, action } = schedule;
+        if (!botCtrl.getBotConfig(botId)) {
+            throw new Error('Bot no longer exists');
+        }
+
+        switch (action.type) {
+            case 'start':
+                await this.handlers.setBotRunning(botId, true);
+                return 'Bot started';
+            case 'stop':
+                await this.handlers.setBotRunning(botId, false);
+                return 'Bot stopped';
+            case 'restart':
+                await this.handlers.setBotRunning(botId, false);
+                await sleep(RESTART_DELAY);
+                await this.handlers.setBotRunning(botId, true);
+                return 'Bot restarted';
+            case 'message':
+                // Don't queue scheduled messages for whenever the bot comes back
+                if (botCtrl.getBotStatus(botId).state !== 'online') {
+                    throw new Error('Bot is not online');
+                }
+                botCtrl.sendMessage(botId, action.message);
+                return `Sent: ${action.message}`;
+            case 'quick_command': {
+                if (botCtrl.getBotStatus(botId).state !== 'online') {
+                    throw new Error('Bot is not online');
+                }
+                const commands = await qcLibrary.load();
+                const qc = commands.find(candidate => candidate.id === action.quickCommandId);
+                if (!qc || !qcLibrary.usableOn(qc, botId)) {
+                    throw new Error('Quick command no longer exists');
+                }
+                if (!botCtrl.runMacro(botId, qc, action.args || {}, schedule.createdBy)) {
+                    throw new Error('Another quick command is still running on this bot');
+                }
+                return `Started ${qc.name}`;
+            }
+            default:
+                throw new Error(`Unknown action ${action.type}`);
+        }
+    }
+
+    list() {
+        return this.schedules;
+    }
+
+    get(id) {
+        return this.schedules.find(schedule => schedule.id === id) || null;
+    }
+
+    add(schedule) {
+        schedule.nextRun = computeNextRun(schedule);
+        this.schedules.push(schedule);
+        this.save();
+        this.arm();
+        return schedule;
+    }
+
+    update(id, fields) {
+        const schedule = this.get(id);
+        if (!schedule) return null;
+
+        Object.assign(schedule, fields, { updated: new Date().toISOString() });
+        schedule.nextRun = computeNextRun(schedule);
+        this.save();
+        this.arm();
+        return schedule;
+    }
+
+    remove(id) {
+        const schedule = this.get(id);
+        if (!schedule) return null;
+
+        this.schedules = this.schedules.filter(candidate => candidate.id !== id);
+        this.save();
+        this.arm();
+        return schedule;
+    }
+
+    // Schedules of a deleted bot go with it
+    removeForBot(botId) {
+        const removed = this.schedules.filter(schedule => schedule.botId === botId);
+        if (removed.length === 0) return 0;
+
+        this.schedules = this.schedules.filter(schedule => schedule.botId !== botId);
+        this.save();
+        this.arm();
+        return removed.length;
+    }
+}
+
+// Validate and clean a schedule from the API; returns { schedule } or { error }.
+// Run state (lastRun, history, nextRun) is kept by the scheduler.
+function normalizeSchedule(input) {
+    const schedule = {
+        name: String(input.name || '').trim(),
+        botId: String(input.botId || '').trim(),
+        enabled: input.enabled !== false,
+        type: input.type === 'once' ? 'once' : 'cron',
+        cron: '',
+        runAt: '',
+        timezone: String(input.timezone || DEFAULT_TIMEZONE).trim(),
+        action: {}
+    };
+
+    if (!schedule.name) return { error: 'Name is required' };
+    if (!schedule.botId) return { error: 'Bot is required' };
+    if (!cron.isValidTimeZone(schedule.timezone)) return { error: `Unknown time zone ${schedule.timezone}` };
+
+    if (schedule.type === 'cron') {
+        schedule.cron = String(input.cron || '').trim();
+        const { cron: parsed, error } = cron.parse(schedule.cron);
+        if (error) return { error };
+        if (!cron.nextRun(parsed, schedule.timezone)) return { error: 'This cron expression never runs' };
+    } else {
+        schedule.runAt = String(input.runAt || '').trim();
+        const runAt = cron.parseLocalTime(schedule.runAt, schedule.timezone);
+        if (!runAt) return { error: 'Enter a valid date and time' };
+        // Finished one-shots can be kept switched off
+        if (runAt <= new Date() && schedule.enabled) return { error: 'That time has already passed' };
+    }
+
+    const action = input.action || {};
+    if (!ACTIONS[action.type]) return { error: 'Pick an action' };
+    schedule.action.type = action.type;
+
+    if (action.type === 'message') {
+        schedule.action.message = String(action.message || '').replace(/[\r\n]+/g, ' ').trim();
+        if (!schedule.action.message) return { error: 'Enter the message to send' };
+    }
+    if (action.type === 'quick_command') {
+        schedule.action.quickCommandId = String(action.quickCommandId || '').trim();
+        if (!schedule.action.quickCommandId) return { error: 'Pick a quick command' };
+        schedule.action.args = {};
+        Object.entries(action.args || {}).forEach(([name, value]) => {
+            schedule.action.args[name] = String(value);
+        });
+    }
+
+    return { schedule };
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+module.exports = {
+    ACTIONS,
+    DEFAULT_TIMEZONE,
+    start: (handlers) => scheduler.start(handlers),
+    list: () => scheduler.list(),
+    get: (id) => scheduler.get(id),
+    add: (schedule) => scheduler.add(schedule),
+    update: (id, fields) => scheduler.update(id, fields),
+    remove: (id) => scheduler.remove(id),
+    removeForBot: (botId) => scheduler.removeForBot(botId),
+    runNow: (id, user) => scheduler.run(scheduler.get(id), 'manual', user),
+    normalizeSchedule
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The master key comes from MCBP_MASTER_KEY, or from a key file that is
+// generated on first use (data/master.key unless MCBP_MASTER_KEY_FILE is set)
+const KEY_FILE = process.env.MCBP_MASTER_KEY_FILE || path.join(__dirname, 'data', 'master.key');
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Bot config fields that hold Minecraft account secrets
+const SECRET_FIELDS = ['password'];
+
+let masterKey = null;
+
+function parseKey(value) {
+    const trimmed = value.trim();
+    // A 64 character hex string is used as the raw key, anything else is a passphrase
+    if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+        return Buffer.from(trimmed, 'hex');
+    }
+    return crypto.scryptSync(trimmed, 'mcbp-master-key', 32);
+}
+
+function getMasterKey() {
+    if (masterKey) return masterKey;
+
+    if (process.env.MCBP_MASTER_KEY) {
+        masterKey = parseKey(process.env.MCBP_MASTER_KEY);
+        return masterKey;
+    }
+
+    try {
+        masterKey = parseKey(fs.readFileSync(KEY_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+
+        // First run: create a key file only the panel user can read
+        const key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+        fs.writeFileSync(KEY_FILE, key.toString('hex') + '\n', { mode: 0o600 });
+        console.log(`🔑 Generated master key at ${KEY_FILE} - back it up, bot passwords cannot be decrypted without it`);
+        masterKey = key;
+    }
+    return masterKey;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Encrypt a secret: enc:v1:<iv>:<auth tag>:<ciphertext> (base64 parts)
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PREFIX + [iv, tag, ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+// Decrypt a secret; legacy plaintext values are returned unchanged
+function decrypt(value) {
+    if (!isEncrypted(value)) return value;
+
+    const [ivB64, tagB64, dataB64] = value.slice(PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(), Buffer.from(ivB64, 'base64'));
+    decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(dataB64, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+// Encrypt any plaintext secret fields of a bot config in place.
+// Returns true if something was changed.
+function encryptBotSecrets(bot) {
+    let changed = false;
+    SECRET_FIELDS.forEach(field => {
+        if (bot[field] && !isEncrypted(bot[field])) {
+            bot[field] = encrypt(bot[field]);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// Copy of a bot config that is safe to send to clients
+function redactBot(bot) {
+    const safeBot = { ...bot };
+    SECRET_FIELDS.forEach(field => {
+        if (field in safeBot) {
+            delete safeBot[field];
+        }
+    });
+    safeBot.hasPassword = !!bot.password;
+    return safeBot;
+}
+
+// Mask the arguments of login style commands before they are logged or broadcast
+function maskAuthCommands(text) {
+    return String(text).replace(
+        /(\/(?:login|l|register|reg|changepassword|changepass|cp)\s+)\S.*$/i,
+        '$1******'
+    );
+}
+
+module.exports = {
+    SECRET_FIELDS,
+    encrypt,
+    decrypt,
+    isEncrypted,
+    encryptBotSecrets,
+    redactBot,
+    maskAuthCommands
+};
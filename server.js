@@ -8,6 +8,22 @@ const cors = require('cors');
 
 // Import bot controller
 const botCtrl = require('./bot-control');
+const logStore = require('./log-store');
+const metricsStore = require('./metrics-store');
+const auth = require('./auth');
+const secrets = require('./secrets');
+const sessionStore = require('./session-store');
+const loginLimiter = require('./login-limiter');
+const auditLog = require('./audit-log');
+const botAccess = require('./bot-access');
+const prometheus = require('./prometheus');
+const webhooks = require('./webhooks');
+const chatBridge = require('./chat-bridge');
+const macroRunner = require('./macro-runner');
+const qcLibrary = require('./quick-commands');
+const scheduler = require('./scheduler');
+const rulesEngine = require('./rules-engine');
+const storage = require('./storage');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,39 +32,29 @@ const io = socketIo(server);
 // Configuration
 const DATA_DIR = './data';
 const VIEWS_DIR = './views';
-const CONFIG_PATH = path.join(DATA_DIR, 'config.json');
-const USERS_PATH = path.join(DATA_DIR, 'users.json');
-const ROLES_PATH = path.join(DATA_DIR, 'roles.json');
-const BOTS_PATH = path.join(DATA_DIR, 'bots.json');
-const QC_PATH = path.join(DATA_DIR, 'quick-commands.json');
+const CONFIG_PATH = storage.define(path.join(DATA_DIR, 'config.json'), { defaultValue: { server: { port: 3000 }, theme: 'dark' } });
+const USERS_PATH = storage.define(path.join(DATA_DIR, 'users.json'), { defaultValue: {} });
+const ROLES_PATH = storage.define(path.join(DATA_DIR, 'roles.json'), { defaultValue: [] });
+const BOTS_PATH = storage.define(path.join(DATA_DIR, 'bots.json'), { defaultValue: [] });
 
 // Middleware
 app.use(bodyParser.json());
+app.use('/api', prometheus.requestCounter);
 app.use(cors());
-app.use(express.static('.')); // Serve static files from root
 
-// Session storage
-const sessions = {};
+// Only the shared page assets are served as files: data/ holds the master key,
+// sessions and the audit trail, and the sources are nobody's business either
+['common.js', 'styles.css'].forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
 
 // Helper functions
+// Data files are read through storage; changes go through storage.update so
+// concurrent requests can't overwrite each other
 async function loadJson(filePath) {
-    try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist, return default
-            if (filePath === QC_PATH || filePath === USERS_PATH) {
-                return {};
-            }
-            return [];
-        }
-        throw error;
-    }
-}
-
-async function saveJson(filePath, data) {
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+    return storage.read(filePath);
 }
 
 async function loadConfig() {
@@ -61,27 +67,100 @@ async function loadConfig() {
     }
 }
 
-// Authentication middleware
+// Authentication middleware (also slides the session expiry)
 function authMiddleware(req, res, next) {
     const token = req.headers['x-auth-token'];
-    if (!token || !sessions[token]) {
+    const session = sessionStore.touch(token);
+    if (!session) {
         return res.status(401).json({ ok: false, message: 'Not authenticated' });
     }
-    req.user = sessions[token];
+    req.user = session;
+    req.sessionToken = token;
     next();
 }
 
+function getClientIp(req) {
+    return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Record an operator action in the audit trail
+function audit(req, action, target, before = null, after = null, details = null) {
+    auditLog.record({
+        actor: req.user ? req.user.username : 'anonymous',
+        action,
+        target,
+        before,
+        after,
+        details,
+        ip: getClientIp(req)
+    });
+}
+
+// Tear down Socket.IO connections that belong to revoked sessions
+function disconnectSessionSockets(sessionIds) {
+    const revoked = new Set(sessionIds);
+    if (revoked.size === 0) return;
+    
+    io.sockets.sockets.forEach(socket => {
+        if (revoked.has(socket.sessionId)) {
+            socket.emit('session-expired');
+            socket.disconnect(true);
+        }
+    });
+}
+
+// Sign a user out everywhere once their account is deleted or its password or
+// role changed, so nobody keeps working with the old rights; returns how many
+// sessions ended
+function revokeUserSessions(username) {
+    const revoked = sessionStore.revokeWhere(session => session.username === username);
+    disconnectSessionSockets(revoked);
+    return revoked.length;
+}
+
+// Join a socket to the status room of every bot its user may view,
+// and drop it from rooms of bots it can no longer see
+async function syncSocketRooms(socket) {
+    const canViewBots = userHasPermission(socket.user, 'view_bots');
+    const bots = await loadJson(BOTS_PATH);
+    
+    bots.forEach(bot => {
+        if (canViewBots && botAccess.canAccess(bot, socket.user, 'view')) {
+            socket.join(botCtrl.statusRoom(bot.id));
+        } else {
+            socket.leave(botCtrl.statusRoom(bot.id));
+            socket.leave(botCtrl.consoleRoom(bot.id));
+        }
+    });
+}
+
+// Re-sync rooms for every connected socket (after bots or their access change)
+function syncAllSocketRooms() {
+    io.sockets.sockets.forEach(socket => {
+        syncSocketRooms(socket).catch(error => console.error('Failed to sync socket rooms:', error));
+    });
+}
+
+// Tear down Socket.IO connections whose session is no longer valid
+function disconnectExpiredSockets() {
+    io.sockets.sockets.forEach(socket => {
+        if (!sessionStore.get(socket.authToken)) {
+            socket.emit('session-expired');
+            socket.disconnect(true);
+        }
+    });
+}
+
+// Check a user (or session) for a permission
+function userHasPermission(user, permission) {
+    // Admin with wildcard has all permissions
+    return user.permissions.includes('*') || user.permissions.includes(permission);
+}
+
 // Permission middleware
 function hasPermission(permission) {
     return (req, res, next) => {
-        const user = req.user;
-        
-        // Admin with wildcard has all permissions
-        if (user.permissions.includes('*')) {
-            return next();
-        }
-        
-        if (!user.permissions.includes(permission)) {
+        if (!userHasPermission(req.user, permission)) {
             return res.status(403).json({ 
                 ok: false, 
                 message: `Missing permission: ${permission}` 
@@ -92,6 +171,32 @@ function hasPermission(permission) {
     };
 }
 
+// Per-bot access middleware: 404 for unknown bots, 403 without the access level
+function requireBotAccess(level, param = 'id') {
+    return async (req, res, next) => {
+        try {
+            const bots = await loadJson(BOTS_PATH);
+            const bot = bots.find(b => b.id === req.params[param]);
+            
+            if (!bot) {
+                return res.status(404).json({ ok: false, message: 'Bot not found' });
+            }
+            
+            if (!botAccess.canAccess(bot, req.user, level)) {
+                return res.status(403).json({ 
+                    ok: false, 
+                    message: `Missing ${level} access to this bot` 
+                });
+            }
+            
+            req.bot = bot;
+            next();
+        } catch (error) {
+            res.status(500).json({ ok: false, message: 'Failed to load bot' });
+        }
+    };
+}
+
 // Serve HTML pages
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, VIEWS_DIR, 'index.html'));
@@ -117,38 +222,86 @@ app.get('/roles', (req, res) => {
     res.sendFile(path.join(__dirname, VIEWS_DIR, 'roles.html'));
 });
 
+app.get('/audit', (req, res) => {
+    res.sendFile(path.join(__dirname, VIEWS_DIR, 'audit.html'));
+});
+
+app.get('/webhooks', (req, res) => {
+    res.sendFile(path.join(__dirname, VIEWS_DIR, 'webhooks.html'));
+});
+
+app.get('/quick-commands', (req, res) => {
+    res.sendFile(path.join(__dirname, VIEWS_DIR, 'quick-commands.html'));
+});
+
+app.get('/schedules', (req, res) => {
+    res.sendFile(path.join(__dirname, VIEWS_DIR, 'schedules.html'));
+});
+
 // API Routes
 
 // Authentication
 app.post('/api/login', async (req, res) => {
     try {
         const { username, password } = req.body;
+        const limiterKeys = [`user:${username}`, `ip:${getClientIp(req)}`];
+        
+        // Refuse while the username or IP is locked out
+        const lockout = loginLimiter.getLockout(limiterKeys);
+        if (lockout > 0) {
+            return res.status(429).json({ 
+                ok: false, 
+                message: `Too many failed login attempts. Try again in ${Math.ceil(lockout / 60000)} minute(s)` 
+            });
+        }
+        
         const users = await loadJson(USERS_PATH);
         
-        if (!users[username] || users[username].password !== password) {
+        if (!users[username] || !(await auth.verifyPassword(password, users[username].password))) {
+            loginLimiter.recordFailure(limiterKeys);
+            prometheus.increment('mcbp_logins_total', { result: 'failure' });
+            audit(req, 'auth.login_failed', { type: 'user', id: String(username) });
             return res.status(401).json({ 
                 ok: false, 
                 message: 'Invalid credentials' 
             });
         }
         
+        loginLimiter.reset(limiterKeys);
+        prometheus.increment('mcbp_logins_total', { result: 'success' });
+        
+        // Migrate legacy plaintext passwords now that we know the password
+        const passwordHash = auth.isPasswordHash(users[username].password) ? null : await auth.hashPassword(password);
+        
         // Load user's role and permissions
         const roles = await loadJson(ROLES_PATH);
         const userRole = roles.find(r => r.id === users[username].role);
         
-        const token = Math.random().toString(36).substring(2) + 
-                     Math.random().toString(36).substring(2);
+        const token = auth.generateToken();
         
-        sessions[token] = {
+        sessionStore.create(token, {
             username,
             role: users[username].role,
             permissions: userRole ? userRole.permissions : [],
             level: userRole ? userRole.level : 0
-        };
+        }, {
+            ip: getClientIp(req),
+            userAgent: req.headers['user-agent']
+        });
         
         // Update last login
-        users[username].lastLogin = new Date().toISOString();
-        await saveJson(USERS_PATH, users);
+        await storage.update(USERS_PATH, latest => {
+            if (!latest[username]) return;
+            if (passwordHash) latest[username].password = passwordHash;
+            latest[username].lastLogin = new Date().toISOString();
+        });
+        
+        auditLog.record({
+            actor: username,
+            action: 'auth.login',
+            target: { type: 'user', id: username },
+            ip: getClientIp(req)
+        });
         
         res.json({
             ok: true,
@@ -168,10 +321,66 @@ app.get('/api/verify', authMiddleware, (req, res) => {
     res.json({ ok: true, user: req.user });
 });
 
+app.post('/api/logout', authMiddleware, (req, res) => {
+    sessionStore.revoke(req.sessionToken);
+    disconnectSessionSockets([req.user.id]);
+    audit(req, 'auth.logout', { type: 'user', id: req.user.username });
+    res.json({ ok: true });
+});
+
+// Sign out every session (optionally only one user's), keeping the caller's own
+app.post('/api/sessions/revoke-all', authMiddleware, hasPermission('manage_sessions'), (req, res) => {
+    const { username } = req.body || {};
+    
+    const revoked = sessionStore.revokeWhere(session => 
+        session.id !== req.user.id && (!username || session.username === username)
+    );
+    disconnectSessionSockets(revoked);
+    audit(req, 'session.revoke_all', username ? { type: 'user', id: username } : null, null, null, 
+        { revoked: revoked.length });
+    
+    res.json({ ok: true, revoked: revoked.length });
+});
+
+// Active sessions
+app.get('/api/sessions', authMiddleware, hasPermission('manage_sessions'), (req, res) => {
+    const sessions = sessionStore.list()
+        .map(session => ({
+            id: session.id,
+            username: session.username,
+            role: session.role,
+            ip: session.ip,
+            userAgent: session.userAgent,
+            created: session.created,
+            lastSeen: session.lastSeen,
+            expiresAt: session.expiresAt,
+            current: session.id === req.user.id
+        }))
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    
+    res.json({ ok: true, sessions });
+});
+
+app.delete('/api/sessions/:id', authMiddleware, hasPermission('manage_sessions'), (req, res) => {
+    if (!sessionStore.revokeById(req.params.id)) {
+        return res.status(404).json({ ok: false, message: 'Session not found' });
+    }
+    
+    disconnectSessionSockets([req.params.id]);
+    audit(req, 'session.revoke', { type: 'session', id: req.params.id });
+    res.json({ ok: true });
+});
+
 // Config
 app.get('/api/config', authMiddleware, async (req, res) => {
     try {
         const config = await loadConfig();
+        
+        // Webhooks and the chat bridge have their own API and the scrape token is a secret
+        delete config.webhooks;
+        delete config.chatBridge;
+        if (config.metrics) delete config.metrics.scrapeToken;
+        
         res.json({ ok: true, config });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load config' });
@@ -181,13 +390,15 @@ app.get('/api/config', authMiddleware, async (req, res) => {
 app.put('/api/config', authMiddleware, hasPermission('manage_settings'), async (req, res) => {
     try {
         const { theme, background } = req.body;
-        const config = await loadConfig();
-        
-        if (theme) config.theme = theme;
-        if (background) config.background = { ...config.background, ...background };
-        
-        await saveJson(CONFIG_PATH, config);
-        res.json({ ok: true, config });
+        const { before, config } = await storage.update(CONFIG_PATH, config => {
+            const before = { theme: config.theme, background: config.background };
+            if (theme) config.theme = theme;
+            if (background) config.background = { ...config.background, ...background };
+            return { before, config };
+        });
+        audit(req, 'config.update', { type: 'config', id: 'config' }, before, 
+            { theme: config.theme, background: config.background });
+        res.json({ ok: true, config: { theme: config.theme, background: config.background } });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to save config' });
     }
@@ -197,93 +408,146 @@ app.put('/api/config', authMiddleware, hasPermission('manage_settings'), async (
 app.get('/api/bots', authMiddleware, hasPermission('view_bots'), async (req, res) => {
     try {
         const bots = await loadJson(BOTS_PATH);
-        // Add status from bot controller
-        const botsWithStatus = bots.map(bot => ({
-            ...bot,
-            status: botCtrl.getBotStatus(bot.id)
-        }));
+        // Only list bots the caller may see, with status from bot controller
+        const botsWithStatus = bots
+            .filter(bot => botAccess.canAccess(bot, req.user, 'view'))
+            .map(bot => ({
+                ...secrets.redactBot(bot),
+                status: botCtrl.getBotStatus(bot.id),
+                accessLevel: botAccess.getAccessLevel(bot, req.user)
+            }));
         res.json({ ok: true, bots: botsWithStatus });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load bots' });
     }
 });
 
-app.get('/api/bots/:id', authMiddleware, hasPermission('view_bots'), async (req, res) => {
+app.get('/api/bots/:id', authMiddleware, hasPermission('view_bots'), requireBotAccess('view'), async (req, res) => {
     try {
-        const bots = await loadJson(BOTS_PATH);
-        const bot = bots.find(b => b.id === req.params.id);
-        
-        if (!bot) {
-            return res.status(404).json({ ok: false, message: 'Bot not found' });
-        }
+        const bot = req.bot;
         
-        // Add status and stats
-        bot.status = botCtrl.getBotStatus(bot.id);
-        bot.stats = botCtrl.getBotStats(bot.id);
+        // Add status, stats and what the caller may do with the bot
+        const safeBot = secrets.redactBot(bot);
+        safeBot.status = botCtrl.getBotStatus(bot.id);
+        safeBot.stats = botCtrl.getBotStats(bot.id);
+        safeBot.accessLevel = botAccess.getAccessLevel(bot, req.user);
+        safeBot.canManageAccess = botAccess.canManageAccess(bot, req.user);
         
-        res.json({ ok: true, bot });
+        res.json({ ok: true, bot: safeBot });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load bot' });
     }
 });
 
+// Custom chat commands let any player run their quick command, so they may only
+// use commands the user saving the bot can see; ones the bot already had stay.
+// Returns the first custom command that breaks this, or null
+async function findHiddenChatCommand(user, botId, chatCommands, before) {
+    const custom = chatCommands && Array.isArray(chatCommands.custom) ? chatCommands.custom : [];
+    const existing = before && Array.isArray(before.custom) ? before.custom : [];
+    const bots = await loadJson(BOTS_PATH);
+    const commands = await qcLibrary.load();
+    
+    return custom.find(command => {
+        if (!command || !command.quickCommandId) return false;
+        if (existing.some(old => old && old.quickCommandId === command.quickCommandId)) return false;
+        return !commands.some(qc => qc.id === command.quickCommandId && 
+            qcLibrary.canSee(qc, user, bots) && qcLibrary.usableOn(qc, botId));
+    }) || null;
+}
+
 app.post('/api/bots', authMiddleware, hasPermission('create_bots'), async (req, res) => {
     try {
-        const bots = await loadJson(BOTS_PATH);
+        // Rules are added through /rules once the bot exists; whether it runs is
+        // only changed by starting and stopping it
+        delete req.body.rules;
+        delete req.body.desiredState;
+        
         const newBot = {
             id: 'bot-' + Date.now(),
             ...req.body,
+            owner: req.user.username,
+            access: botAccess.normalizeAccess(req.body.access),
             created: new Date().toISOString(),
             lastStarted: null,
             lastStopped: null
         };
         
-        bots.push(newBot);
-        await saveJson(BOTS_PATH, bots);
-        res.json({ ok: true, bot: newBot });
+        const hidden = await findHiddenChatCommand(req.user, newBot.id, newBot.chatCommands, null);
+        if (hidden) {
+            return res.status(400).json({ ok: false, message: `Chat command ${hidden.name}: quick command not found` });
+        }
+        secrets.encryptBotSecrets(newBot);
+        
+        await storage.update(BOTS_PATH, bots => {
+            bots.push(newBot);
+        });
+        botCtrl.addBot(newBot);
+        audit(req, 'bot.create', { type: 'bot', id: newBot.id }, null, newBot);
+        syncAllSocketRooms();
+        res.json({ ok: true, bot: secrets.redactBot(newBot) });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to create bot' });
     }
 });
 
-app.put('/api/bots/:id', authMiddleware, hasPermission('edit_bots'), async (req, res) => {
+app.put('/api/bots/:id', authMiddleware, hasPermission('edit_bots'), requireBotAccess('edit'), async (req, res) => {
     try {
-        const bots = await loadJson(BOTS_PATH);
-        const index = bots.findIndex(b => b.id === req.params.id);
-        
-        if (index === -1) {
-            return res.status(404).json({ ok: false, message: 'Bot not found' });
-        }
-        
         // Update bot (keep password if not provided)
         if (!req.body.password) {
             delete req.body.password;
         }
         
-        bots[index] = { ...bots[index], ...req.body, updated: new Date().toISOString() };
-        await saveJson(BOTS_PATH, bots);
+        // Ownership and access are changed through /access only, rules through /rules
+        delete req.body.owner;
+        delete req.body.access;
+        delete req.body.rules;
+        delete req.body.desiredState;
+        
+        const hidden = await findHiddenChatCommand(req.user, req.bot.id, req.body.chatCommands, req.bot.chatCommands);
+        if (hidden) {
+            return res.status(400).json({ ok: false, message: `Chat command ${hidden.name}: quick command not found` });
+        }
+        
+        const result = await storage.update(BOTS_PATH, bots => {
+            const index = bots.findIndex(b => b.id === req.params.id);
+            if (index === -1) return null;
+            
+            const before = { ...bots[index] };
+            bots[index] = { ...bots[index], ...req.body, updated: new Date().toISOString() };
+            secrets.encryptBotSecrets(bots[index]);
+            return { before, bot: bots[index] };
+        });
+        
+        if (!result) {
+            return res.status(404).json({ ok: false, message: 'Bot not found' });
+        }
+        
+        const { before, bot } = result;
+        botCtrl.updateBot(bot);
+        audit(req, 'bot.update', { type: 'bot', id: req.params.id }, before, bot);
         
-        res.json({ ok: true, bot: bots[index] });
+        res.json({ ok: true, bot: secrets.redactBot(bot) });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to update bot' });
     }
 });
 
-app.delete('/api/bots/:id', authMiddleware, hasPermission('delete_bots'), async (req, res) => {
+app.delete('/api/bots/:id', authMiddleware, hasPermission('delete_bots'), requireBotAccess('edit'), async (req, res) => {
     try {
-        const bots = await loadJson(BOTS_PATH);
-        const index = bots.findIndex(b => b.id === req.params.id);
+        const removed = await storage.update(BOTS_PATH, bots => {
+            const index = bots.findIndex(b => b.id === req.params.id);
+            return index === -1 ? null : bots.splice(index, 1)[0];
+        });
         
-        if (index === -1) {
+        if (!removed) {
             return res.status(404).json({ ok: false, message: 'Bot not found' });
         }
         
-        // Stop bot if running
-        botCtrl.stopBot(req.params.id);
-        
-        // Remove bot
-        bots.splice(index, 1);
-        await saveJson(BOTS_PATH, bots);
+        // Remove bot (stops it if running)
+        botCtrl.removeBot(req.params.id);
+        scheduler.removeForBot(req.params.id);
+        audit(req, 'bot.delete', { type: 'bot', id: req.params.id }, removed, null);
         
         res.json({ ok: true });
     } catch (error) {
@@ -291,47 +555,236 @@ app.delete('/api/bots/:id', authMiddleware, hasPermission('delete_bots'), async
     }
 });
 
-app.post('/api/bots/:id/start', authMiddleware, hasPermission('start_bots'), async (req, res) => {
+// Start or stop a bot and remember it across panel restarts; returns the bot or null
+async function setBotRunning(botId, running) {
+    const bot = await storage.update(BOTS_PATH, bots => {
+        const bot = bots.find(b => b.id === botId);
+        if (!bot) return null;
+        
+        if (running) {
+            bot.lastStarted = new Date().toISOString();
+            bot.desiredState = 'running';
+        } else {
+            bot.lastStopped = new Date().toISOString();
+            bot.desiredState = 'stopped';
+        }
+        return bot;
+    });
+    if (!bot) return null;
+    
+    // Only once the new state is saved, so a failed write doesn't leave the
+    // bot running (or stopped) against what bots.json says
+    if (running) {
+        botCtrl.startBot(bot, io);
+    } else {
+        botCtrl.stopBot(botId);
+        botCtrl.updateBot(bot);
+    }
+    return bot;
+}
+
+app.post('/api/bots/:id/start', authMiddleware, hasPermission('start_bots'), requireBotAccess('operate'), async (req, res) => {
     try {
-        const bots = await loadJson(BOTS_PATH);
-        const bot = bots.find(b => b.id === req.params.id);
+        const bot = await setBotRunning(req.params.id, true);
         
         if (!bot) {
             return res.status(404).json({ ok: false, message: 'Bot not found' });
         }
+        audit(req, 'bot.start', { type: 'bot', id: bot.id });
         
-        // Start bot
-        botCtrl.startBot(bot, io);
+        res.json({ ok: true });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to start bot' });
+    }
+});
+
+app.post('/api/bots/:id/stop', authMiddleware, hasPermission('stop_bots'), requireBotAccess('operate'), async (req, res) => {
+    try {
+        const bot = await setBotRunning(req.params.id, false);
         
-        // Update last started
-        bot.lastStarted = new Date().toISOString();
-        await saveJson(BOTS_PATH, bots);
+        if (!bot) {
+            return res.status(404).json({ ok: false, message: 'Bot not found' });
+        }
+        audit(req, 'bot.stop', { type: 'bot', id: bot.id });
         
         res.json({ ok: true });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to start bot' });
+        res.status(500).json({ ok: false, message: 'Failed to stop bot' });
+    }
+});
+
+// Bot ownership and access lists (only the owner and admins may change them)
+app.put('/api/bots/:id/access', authMiddleware, requireBotAccess('view'), async (req, res) => {
+    try {
+        if (!botAccess.canManageAccess(req.bot, req.user)) {
+            return res.status(403).json({ ok: false, message: 'Only the bot owner can change its access' });
+        }
+        
+        const { owner, access } = req.body;
+        
+        // Transfer ownership
+        const transfer = owner !== undefined && owner !== req.bot.owner;
+        if (transfer) {
+            const users = await loadJson(USERS_PATH);
+            if (!users[owner]) {
+                return res.status(400).json({ ok: false, message: 'New owner does not exist' });
+            }
+        }
+        
+        const result = await storage.update(BOTS_PATH, bots => {
+            const bot = bots.find(b => b.id === req.params.id);
+            if (!bot) return null;
+            
+            const before = { owner: bot.owner || null, access: bot.access || null };
+            if (transfer) bot.owner = owner;
+            bot.access = botAccess.normalizeAccess(access);
+            return { before, bot };
+        });
+        
+        if (!result) {
+            return res.status(404).json({ ok: false, message: 'Bot not found' });
+        }
+        
+        const { before, bot } = result;
+        botCtrl.updateBot(bot);
+        audit(req, 'bot.access', { type: 'bot', id: bot.id }, before, { owner: bot.owner, access: bot.access });
+        syncAllSocketRooms();
+        
+        res.json({ ok: true, owner: bot.owner, access: bot.access });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to update bot access' });
     }
 });
 
-app.post('/api/bots/:id/stop', authMiddleware, hasPermission('stop_bots'), async (req, res) => {
+// Automation rules of a bot, with how often each fired since the panel started
+app.get('/api/bots/:id/rules', authMiddleware, requireBotAccess('view'), (req, res) => {
+    res.json({
+        ok: true,
+        rules: req.bot.rules || [],
+        stats: rulesEngine.getStats(req.bot.id),
+        triggers: rulesEngine.TRIGGERS,
+        actions: rulesEngine.ACTIONS
+    });
+});
+
+// Replace all rules of a bot
+app.put('/api/bots/:id/rules', authMiddleware, hasPermission('edit_bots'), requireBotAccess('edit'), async (req, res) => {
     try {
+        const { rules, error } = rulesEngine.normalizeRules(req.body.rules);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        
         const bots = await loadJson(BOTS_PATH);
-        const bot = bots.find(b => b.id === req.params.id);
+        const before = req.bot.rules || [];
+        
+        // Rules can only run quick commands their author could run; rules
+        // someone else set up keep theirs
+        const commands = await qcLibrary.load();
+        const missingQC = rules.find(rule => {
+            if (rule.action.type !== 'quick_command') return false;
+            const unchanged = before.some(old => old.id === rule.id && old.action.quickCommandId === rule.action.quickCommandId);
+            return !unchanged && !commands.some(qc => qc.id === rule.action.quickCommandId && 
+                qcLibrary.canSee(qc, req.user, bots) && qcLibrary.usableOn(qc, req.bot.id));
+        });
+        if (missingQC) {
+            return res.status(400).json({ ok: false, message: `${missingQC.name}: quick command not found` });
+        }
+        
+        const bot = await storage.update(BOTS_PATH, bots => {
+            const bot = bots.find(b => b.id === req.bot.id);
+            if (!bot) return null;
+            bot.rules = rules;
+            bot.updated = new Date().toISOString();
+            return bot;
+        });
         
         if (!bot) {
             return res.status(404).json({ ok: false, message: 'Bot not found' });
         }
+        botCtrl.updateBot(bot);
+        audit(req, 'bot.rules', { type: 'bot', id: bot.id }, { rules: before }, { rules });
+        
+        res.json({ ok: true, rules });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to save rules' });
+    }
+});
+
+// Stored console history: ?from&to&level&type&search&limit&offset
+app.get('/api/bots/:id/logs', authMiddleware, hasPermission('view_logs'), requireBotAccess('view'), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ ok: false, message: 'Invalid time range' });
+        }
         
-        // Stop bot
-        botCtrl.stopBot(req.params.id);
+        const result = await logStore.query(req.params.id, {
+            from,
+            to,
+            levels: req.query.level ? String(req.query.level).split(',') : null,
+            type: req.query.type,
+            search: req.query.search,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
         
-        // Update last stopped
-        bot.lastStopped = new Date().toISOString();
-        await saveJson(BOTS_PATH, bots);
+        res.json({ ok: true, ...result });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load logs' });
+    }
+});
+
+// Parse ?from&to&resolution for the metrics routes, null if the range is invalid
+function parseMetricsQuery(query) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from >= to)) {
+        return null;
+    }
+    return {
+        from: from ? from.getTime() : null,
+        to: to ? to.getTime() : null,
+        resolution: query.resolution
+    };
+}
+
+// Sampled history and uptime of a bot: ?from&to&resolution (e.g. 5m, 1h, 1d)
+app.get('/api/bots/:id/metrics', authMiddleware, hasPermission('view_bots'), requireBotAccess('view'), async (req, res) => {
+    try {
+        const options = parseMetricsQuery(req.query);
+        if (!options) {
+            return res.status(400).json({ ok: false, message: 'Invalid time range' });
+        }
         
-        res.json({ ok: true });
+        const metrics = await metricsStore.query(req.params.id, options);
+        res.json({ ok: true, ...metrics });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to stop bot' });
+        res.status(500).json({ ok: false, message: 'Failed to load metrics' });
+    }
+});
+
+// Combined history of every bot the caller can see
+app.get('/api/metrics/fleet', authMiddleware, hasPermission('view_bots'), async (req, res) => {
+    try {
+        const options = parseMetricsQuery(req.query);
+        if (!options) {
+            return res.status(400).json({ ok: false, message: 'Invalid time range' });
+        }
+        
+        const bots = await loadJson(BOTS_PATH);
+        const visible = bots.filter(bot => botAccess.canAccess(bot, req.user, 'view'));
+        const metrics = await metricsStore.fleet(visible.map(bot => bot.id), options);
+        
+        // Names make the per-bot uptime list readable without another request
+        metrics.bots.forEach(entry => {
+            entry.name = visible.find(bot => bot.id === entry.botId).name;
+        });
+        
+        res.json({ ok: true, ...metrics });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load metrics' });
     }
 });
 
@@ -339,7 +792,14 @@ app.post('/api/bots/:id/stop', authMiddleware, hasPermission('stop_bots'), async
 app.get('/api/users', authMiddleware, hasPermission('view_users'), async (req, res) => {
     try {
         const users = await loadJson(USERS_PATH);
-        res.json({ ok: true, users });
+        
+        // Never expose password hashes
+        const safeUsers = {};
+        for (const [username, user] of Object.entries(users)) {
+            safeUsers[username] = auth.sanitizeUser(user);
+        }
+        
+        res.json({ ok: true, users: safeUsers });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load users' });
     }
@@ -354,7 +814,7 @@ app.get('/api/users/:username', authMiddleware, hasPermission('view_users'), asy
             return res.status(404).json({ ok: false, message: 'User not found' });
         }
         
-        res.json({ ok: true, user });
+        res.json({ ok: true, user: auth.sanitizeUser(user) });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load user' });
     }
@@ -365,6 +825,10 @@ app.post('/api/users', authMiddleware, hasPermission('create_users'), async (req
         const { username, password, role, protected: isProtected } = req.body;
         const users = await loadJson(USERS_PATH);
         
+        if (!username || !password) {
+            return res.status(400).json({ ok: false, message: 'Username and password required' });
+        }
+        
         if (users[username]) {
             return res.status(400).json({ ok: false, message: 'User already exists' });
         }
@@ -387,15 +851,25 @@ app.post('/api/users', authMiddleware, hasPermission('create_users'), async (req
             });
         }
         
-        users[username] = {
-            password,
+        const newUser = {
+            password: await auth.hashPassword(password),
             role,
             protected: !!isProtected,
             created: new Date().toISOString(),
             lastLogin: null
         };
         
-        await saveJson(USERS_PATH, users);
+        // Someone may have taken the name while the password was hashed
+        const created = await storage.update(USERS_PATH, latest => {
+            if (latest[username]) return false;
+            latest[username] = newUser;
+            return true;
+        });
+        if (!created) {
+            return res.status(400).json({ ok: false, message: 'User already exists' });
+        }
+        
+        audit(req, 'user.create', { type: 'user', id: username }, null, newUser);
         res.json({ ok: true });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to create user' });
@@ -429,8 +903,9 @@ app.put('/api/users/:username', authMiddleware, hasPermission('edit_users'), asy
         }
         
         // Update user
+        const changes = {};
         if (req.body.password) {
-            users[username].password = req.body.password;
+            changes.password = await auth.hashPassword(req.body.password);
         }
         
         if (req.body.role) {
@@ -447,10 +922,22 @@ app.put('/api/users/:username', authMiddleware, hasPermission('edit_users'), asy
                 });
             }
             
-            users[username].role = req.body.role;
+            changes.role = req.body.role;
+        }
+        
+        const result = await storage.update(USERS_PATH, latest => {
+            if (!latest[username]) return null;
+            const before = { ...latest[username] };
+            Object.assign(latest[username], changes);
+            return { before, user: latest[username] };
+        });
+        if (!result) {
+            return res.status(404).json({ ok: false, message: 'User not found' });
         }
         
-        await saveJson(USERS_PATH, users);
+        const revoked = changes.password || changes.role ? revokeUserSessions(username) : 0;
+        audit(req, 'user.update', { type: 'user', id: username }, result.before, result.user, 
+            revoked > 0 ? { revokedSessions: revoked } : null);
         res.json({ ok: true });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to update user' });
@@ -488,8 +975,18 @@ app.delete('/api/users/:username', authMiddleware, hasPermission('delete_users')
             });
         }
         
-        delete users[username];
-        await saveJson(USERS_PATH, users);
+        const removed = await storage.update(USERS_PATH, latest => {
+            const user = latest[username];
+            delete latest[username];
+            return user;
+        });
+        if (!removed) {
+            return res.status(404).json({ ok: false, message: 'User not found' });
+        }
+        
+        const revoked = revokeUserSessions(username);
+        audit(req, 'user.delete', { type: 'user', id: username }, removed, null, 
+            revoked > 0 ? { revokedSessions: revoked } : null);
         res.json({ ok: true });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to delete user' });
@@ -549,8 +1046,16 @@ app.post('/api/roles', authMiddleware, hasPermission('manage_roles'), async (req
             protected: !!isProtected
         };
         
-        roles.push(newRole);
-        await saveJson(ROLES_PATH, roles);
+        const created = await storage.update(ROLES_PATH, latest => {
+            if (latest.some(r => r.id === newRole.id)) return false;
+            latest.push(newRole);
+            return true;
+        });
+        if (!created) {
+            return res.status(400).json({ ok: false, message: 'Role already exists' });
+        }
+        
+        audit(req, 'role.create', { type: 'role', id: newRole.id }, null, newRole);
         res.json({ ok: true, role: newRole });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to create role' });
@@ -582,6 +1087,7 @@ app.put('/api/roles/:id', authMiddleware, hasPermission('manage_roles'), async (
         }
         
         // Update role
+        const changes = {};
         if (req.body.level !== undefined) {
             const newLevel = parseInt(req.body.level);
             if (currentUserRole && newLevel >= currentUserRole.level) {
@@ -590,23 +1096,34 @@ app.put('/api/roles/:id', authMiddleware, hasPermission('manage_roles'), async (
                     message: 'Cannot set level equal or higher than yours' 
                 });
             }
-            roles[index].level = newLevel;
+            changes.level = newLevel;
         }
         
         if (req.body.name !== undefined) {
-            roles[index].name = req.body.name;
+            changes.name = req.body.name;
         }
         
         if (req.body.description !== undefined) {
-            roles[index].description = req.body.description;
+            changes.description = req.body.description;
         }
         
         if (req.body.permissions !== undefined) {
-            roles[index].permissions = req.body.permissions;
+            changes.permissions = req.body.permissions;
+        }
+        
+        const result = await storage.update(ROLES_PATH, latest => {
+            const role = latest.find(r => r.id === roleId);
+            if (!role) return null;
+            const before = { ...role };
+            Object.assign(role, changes);
+            return { before, role };
+        });
+        if (!result) {
+            return res.status(404).json({ ok: false, message: 'Role not found' });
         }
         
-        await saveJson(ROLES_PATH, roles);
-        res.json({ ok: true, role: roles[index] });
+        audit(req, 'role.update', { type: 'role', id: roleId }, result.before, result.role);
+        res.json({ ok: true, role: result.role });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to update role' });
     }
@@ -636,25 +1153,28 @@ app.delete('/api/roles/:id', authMiddleware, hasPermission('manage_roles'), asyn
             });
         }
         
-        // Check if role is in use
-        const users = await loadJson(USERS_PATH);
-        const usersWithRole = Object.values(users).filter(u => u.role === roleId);
-        
-        if (usersWithRole.length > 0) {
-            // Reassign users to viewer role
-            for (const [username, user] of Object.entries(users)) {
-                if (user.role === roleId) {
-                    user.role = 'viewer';
-                }
-            }
-            await saveJson(USERS_PATH, users);
-        }
+        // Reassign users of the role to the viewer role
+        const reassigned = await storage.update(USERS_PATH, users => {
+            const usersWithRole = Object.values(users).filter(u => u.role === roleId);
+            usersWithRole.forEach(user => {
+                user.role = 'viewer';
+            });
+            return usersWithRole.length;
+        });
         
         // Remove role
-        roles.splice(index, 1);
-        await saveJson(ROLES_PATH, roles);
+        const removed = await storage.update(ROLES_PATH, latest => {
+            const index = latest.findIndex(r => r.id === roleId);
+            return index === -1 ? null : latest.splice(index, 1)[0];
+        });
+        if (!removed) {
+            return res.status(404).json({ ok: false, message: 'Role not found' });
+        }
+        
+        audit(req, 'role.delete', { type: 'role', id: roleId }, removed, null, 
+            { reassignedUsers: reassigned });
         
-        res.json({ ok: true, affectedUsers: usersWithRole.length });
+        res.json({ ok: true, affectedUsers: reassigned });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to delete role' });
     }
@@ -681,236 +1201,893 @@ app.get('/api/permissions', authMiddleware, async (req, res) => {
         // Role Management
         'manage_roles', 'assign_roles',
         // Quick Commands
-        'create_qc', 'edit_qc', 'delete_qc', 'use_qc',
+        'create_qc', 'edit_qc', 'delete_qc', 'use_qc', 'share_qc',
         // Chat/Console
         'view_console', 'send_messages', 'execute_commands',
         // System/UI
-        'change_theme', 'view_logs', 'manage_settings'
+        'change_theme', 'view_logs', 'manage_settings', 'manage_sessions', 'view_audit', 'manage_webhooks',
+        'manage_bridge', 'manage_schedules'
     ];
     
     res.json({ ok: true, permissions });
 });
 
-// Bot-specific Quick Commands API
-app.get('/api/bots/:botId/quick-commands', authMiddleware, async (req, res) => {
-    try {
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
-        
-        // Filter QCs for this specific bot
-        const botQCs = userQCs.filter(qc => qc.botId === req.params.botId);
-        
-        res.json({ ok: true, commands: botQCs });
-    } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to load quick commands' });
+// Name, steps and sharing of a quick command; returns { fields } or { error }.
+// `command` keeps the first command for clients that predate steps
+async function parseQuickCommand(req, body, botId) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Name is required' };
+    
+    const { steps, error } = macroRunner.normalizeSteps(body);
+    if (error) return { error };
+    
+    const roles = await loadJson(ROLES_PATH);
+    const scope = qcLibrary.normalizeScope(body, botId, roles.map(role => role.id));
+    if (scope.error) return { error: scope.error };
+    if (scope.fields.scope !== 'personal' && !userHasPermission(req.user, 'share_qc')) {
+        return { error: 'Missing permission: share_qc' };
     }
-});
+    
+    const first = steps.find(step => step.type === 'command');
+    return { fields: { name, command: first ? first.command : '', steps, ...scope.fields } };
+}
 
-app.post('/api/bots/:botId/quick-commands', authMiddleware, hasPermission('create_qc'), async (req, res) => {
-    try {
-        const { name, command } = req.body;
-        const qcs = await loadJson(QC_PATH);
-        
-        if (!qcs[req.user.username]) {
-            qcs[req.user.username] = [];
-        }
-        
-        const newQC = {
-            id: 'qc-' + Date.now(),
-            name,
-            command,
-            botId: req.params.botId,
-            created: new Date().toISOString(),
-            createdBy: req.user.username
-        };
-        
-        qcs[req.user.username].push(newQC);
-        await saveJson(QC_PATH, qcs);
-        res.json({ ok: true, command: newQC });
+// Quick commands the user can see, optionally only the ones usable on a bot
+async function loadVisibleQuickCommands(user, botId = null) {
+    const commands = await qcLibrary.load();
+    const bots = await loadJson(BOTS_PATH);
+    return commands.filter(qc => qcLibrary.canSee(qc, user, bots) && (!botId || qcLibrary.usableOn(qc, botId)));
+}
+
+// What the client gets: the command plus whether the caller may change it
+function quickCommandView(qc, user) {
+    return { ...qc, canEdit: qcLibrary.canManage(qc, user) };
+}
+
+// Start a quick command on a bot; arguments it asks for must be in req.body.args
+function runQuickCommand(req, res, qc, botId) {
+    const args = req.body.args || {};
+    const missing = macroRunner.promptArguments(qc).filter(name => !String(args[name] || '').trim());
+    if (missing.length > 0) {
+        return res.status(400).json({ ok: false, message: `Missing arguments: ${missing.join(', ')}`, missing });
+    }
+    
+    const macro = botCtrl.runMacro(botId, qc, args, req.user.username);
+    if (!macro) {
+        return res.status(409).json({ ok: false, message: 'Another quick command is still running on this bot' });
+    }
+    
+    audit(req, 'qc.execute', { type: 'bot', id: botId }, null, null, 
+        { quickCommand: qc.id, name: qc.name, command: qc.command, args });
+    res.json({ ok: true, macro });
+}
+
+async function createQuickCommand(req, res, botId) {
+    const { fields, error } = await parseQuickCommand(req, req.body, botId);
+    if (error) {
+        return res.status(400).json({ ok: false, message: error });
+    }
+    
+    const newQC = {
+        id: 'qc-' + Date.now(),
+        ...fields,
+        owner: req.user.username,
+        created: new Date().toISOString(),
+        createdBy: req.user.username
+    };
+    
+    await qcLibrary.update(commands => {
+        commands.push(newQC);
+    });
+    audit(req, 'qc.create', { type: 'quick_command', id: newQC.id }, null, newQC);
+    res.json({ ok: true, command: quickCommandView(newQC, req.user) });
+}
+
+// Update a command in place; the bot it belongs to can't change here
+async function updateQuickCommand(req, res, qc) {
+    if (!qcLibrary.canManage(qc, req.user)) {
+        return res.status(403).json({ ok: false, message: 'Only the owner can change this quick command' });
+    }
+    
+    // Sharing stays as it was unless the request changes it
+    const body = { scope: qc.scope, roles: qc.roles, ...req.body };
+    const botId = body.botId !== undefined ? body.botId : qc.botId;
+    const { fields, error } = await parseQuickCommand(req, body, botId === 'global' ? null : botId);
+    if (error) {
+        return res.status(400).json({ ok: false, message: error });
+    }
+    
+    const result = await qcLibrary.update(commands => {
+        const index = commands.findIndex(candidate => candidate.id === qc.id);
+        if (index === -1) return null;
+        const before = { ...commands[index] };
+        commands[index] = { ...commands[index], ...fields, updated: new Date().toISOString() };
+        return { before, updated: commands[index] };
+    });
+    if (!result) {
+        return res.status(404).json({ ok: false, message: 'Quick command not found' });
+    }
+    
+    audit(req, 'qc.update', { type: 'quick_command', id: qc.id }, result.before, result.updated);
+    res.json({ ok: true, command: quickCommandView(result.updated, req.user) });
+}
+
+async function deleteQuickCommand(req, res, qc) {
+    if (!qcLibrary.canManage(qc, req.user)) {
+        return res.status(403).json({ ok: false, message: 'Only the owner can delete this quick command' });
+    }
+    
+    await qcLibrary.update(commands => {
+        const index = commands.findIndex(candidate => candidate.id === qc.id);
+        if (index !== -1) commands.splice(index, 1);
+    });
+    audit(req, 'qc.delete', { type: 'quick_command', id: qc.id }, qc, null);
+    res.json({ ok: true });
+}
+
+// Bot-specific Quick Commands API: commands the caller can see that run on this bot
+app.get('/api/bots/:botId/quick-commands', authMiddleware, requireBotAccess('view', 'botId'), async (req, res) => {
+    try {
+        const commands = await loadVisibleQuickCommands(req.user, req.params.botId);
+        const roles = await loadJson(ROLES_PATH);
+        res.json({ 
+            ok: true, 
+            commands: commands.map(qc => quickCommandView(qc, req.user)),
+            scopes: qcLibrary.SCOPES,
+            roles: roles.map(role => ({ id: role.id, name: role.name }))
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load quick commands' });
+    }
+});
+
+app.post('/api/bots/:botId/quick-commands', authMiddleware, hasPermission('create_qc'), requireBotAccess('operate', 'botId'), async (req, res) => {
+    try {
+        await createQuickCommand(req, res, req.params.botId);
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to create quick command' });
     }
 });
 
-app.put('/api/bots/:botId/quick-commands/:qcId', authMiddleware, hasPermission('edit_qc'), async (req, res) => {
+app.put('/api/bots/:botId/quick-commands/:qcId', authMiddleware, hasPermission('edit_qc'), requireBotAccess('operate', 'botId'), async (req, res) => {
     try {
-        const { name, command } = req.body;
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
-        
-        const index = userQCs.findIndex(qc => qc.id === req.params.qcId && qc.botId === req.params.botId);
-        if (index === -1) {
+        const commands = await loadVisibleQuickCommands(req.user, req.params.botId);
+        const qc = commands.find(candidate => candidate.id === req.params.qcId);
+        if (!qc) {
             return res.status(404).json({ ok: false, message: 'Quick command not found' });
         }
         
-        userQCs[index].name = name;
-        userQCs[index].command = command;
-        userQCs[index].updated = new Date().toISOString();
-        
-        qcs[req.user.username] = userQCs;
-        await saveJson(QC_PATH, qcs);
-        
-        res.json({ ok: true, command: userQCs[index] });
+        await updateQuickCommand(req, res, qc);
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to update quick command' });
     }
 });
 
-app.delete('/api/bots/:botId/quick-commands/:qcId', authMiddleware, hasPermission('delete_qc'), async (req, res) => {
+app.delete('/api/bots/:botId/quick-commands/:qcId', authMiddleware, hasPermission('delete_qc'), requireBotAccess('operate', 'botId'), async (req, res) => {
     try {
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
-        
-        const index = userQCs.findIndex(qc => qc.id === req.params.qcId && qc.botId === req.params.botId);
-        if (index === -1) {
+        const commands = await loadVisibleQuickCommands(req.user, req.params.botId);
+        const qc = commands.find(candidate => candidate.id === req.params.qcId);
+        if (!qc) {
             return res.status(404).json({ ok: false, message: 'Quick command not found' });
         }
         
-        userQCs.splice(index, 1);
-        qcs[req.user.username] = userQCs;
-        await saveJson(QC_PATH, qcs);
-        
-        res.json({ ok: true });
+        await deleteQuickCommand(req, res, qc);
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to delete quick command' });
     }
 });
 
-app.post('/api/bots/:botId/quick-commands/:qcId/execute', authMiddleware, hasPermission('use_qc'), async (req, res) => {
+app.post('/api/bots/:botId/quick-commands/:qcId/execute', authMiddleware, hasPermission('use_qc'), requireBotAccess('operate', 'botId'), async (req, res) => {
     try {
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
-        
-        const qc = userQCs.find(q => q.id === req.params.qcId && q.botId === req.params.botId);
+        const commands = await loadVisibleQuickCommands(req.user, req.params.botId);
+        const qc = commands.find(candidate => candidate.id === req.params.qcId);
         if (!qc) {
             return res.status(404).json({ ok: false, message: 'Quick command not found' });
         }
         
-        // Send command through bot
-        botCtrl.sendMessage(req.params.botId, qc.command);
-        res.json({ ok: true });
+        runQuickCommand(req, res, qc, req.params.botId);
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to execute command' });
     }
 });
 
-// Global Quick Commands API (for backward compatibility)
+// Stop the quick command that is running on a bot
+app.post('/api/bots/:botId/quick-commands/cancel', authMiddleware, hasPermission('use_qc'), requireBotAccess('operate', 'botId'), (req, res) => {
+    try {
+        if (!botCtrl.cancelMacro(req.params.botId, `Cancelled by ${req.user.username}`)) {
+            return res.status(404).json({ ok: false, message: 'No quick command is running' });
+        }
+        audit(req, 'qc.cancel', { type: 'bot', id: req.params.botId });
+        res.json({ ok: true });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to cancel quick command' });
+    }
+});
+
+// Quick command library: every command the caller can see, on any bot
 app.get('/api/quick-commands', authMiddleware, async (req, res) => {
     try {
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
-        res.json({ ok: true, commands: userQCs });
+        const commands = await loadVisibleQuickCommands(req.user, req.query.botId);
+        const roles = await loadJson(ROLES_PATH);
+        res.json({ 
+            ok: true, 
+            commands: commands.map(qc => quickCommandView(qc, req.user)),
+            scopes: qcLibrary.SCOPES,
+            roles: roles.map(role => ({ id: role.id, name: role.name }))
+        });
     } catch (error) {
         res.status(500).json({ ok: false, message: 'Failed to load quick commands' });
     }
 });
 
+// Load a visible library command into req.qc
+async function requireVisibleQuickCommand(req, res, next) {
+    try {
+        const commands = await loadVisibleQuickCommands(req.user);
+        req.qc = commands.find(candidate => candidate.id === req.params.id);
+        if (!req.qc) {
+            return res.status(404).json({ ok: false, message: 'Quick command not found' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load quick command' });
+    }
+}
+
+// Commands tied to a bot need operate access to it, botId 'global' or empty means any bot
+async function checkQuickCommandBot(req, res, botId) {
+    if (!botId || botId === 'global') return true;
+    
+    const bots = await loadJson(BOTS_PATH);
+    const bot = bots.find(b => b.id === botId);
+    if (!bot) {
+        res.status(404).json({ ok: false, message: 'Bot not found' });
+        return false;
+    }
+    if (!botAccess.canAccess(bot, req.user, 'operate')) {
+        res.status(403).json({ ok: false, message: 'Missing operate access to this bot' });
+        return false;
+    }
+    return true;
+}
+
 app.post('/api/quick-commands', authMiddleware, hasPermission('create_qc'), async (req, res) => {
     try {
-        const { name, command, botId } = req.body;
-        const qcs = await loadJson(QC_PATH);
+        const { botId } = req.body;
+        if (!await checkQuickCommandBot(req, res, botId)) return;
         
-        if (!qcs[req.user.username]) {
-            qcs[req.user.username] = [];
+        await createQuickCommand(req, res, botId === 'global' ? null : botId);
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to create quick command' });
+    }
+});
+
+app.put('/api/quick-commands/:id', authMiddleware, hasPermission('edit_qc'), requireVisibleQuickCommand, async (req, res) => {
+    try {
+        if (req.body.botId !== undefined && req.body.botId !== req.qc.botId) {
+            if (!await checkQuickCommandBot(req, res, req.body.botId)) return;
         }
         
-        const newQC = {
+        await updateQuickCommand(req, res, req.qc);
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to update quick command' });
+    }
+});
+
+app.delete('/api/quick-commands/:id', authMiddleware, hasPermission('delete_qc'), requireVisibleQuickCommand, async (req, res) => {
+    try {
+        await deleteQuickCommand(req, res, req.qc);
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to delete quick command' });
+    }
+});
+
+// Copy a shared command into the caller's own commands
+app.post('/api/quick-commands/:id/copy', authMiddleware, hasPermission('create_qc'), requireVisibleQuickCommand, async (req, res) => {
+    try {
+        const botId = req.body.botId !== undefined ? req.body.botId : req.qc.botId;
+        if (!await checkQuickCommandBot(req, res, botId)) return;
+        
+        const copy = {
             id: 'qc-' + Date.now(),
-            name,
-            command,
-            botId: botId || 'global',
+            name: String(req.body.name || '').trim() || req.qc.name,
+            command: req.qc.command,
+            steps: macroRunner.getSteps(req.qc),
+            scope: 'personal',
+            botId: botId && botId !== 'global' ? botId : null,
+            roles: [],
+            owner: req.user.username,
+            copiedFrom: req.qc.id,
             created: new Date().toISOString(),
             createdBy: req.user.username
         };
         
-        qcs[req.user.username].push(newQC);
-        await saveJson(QC_PATH, qcs);
-        res.json({ ok: true, command: newQC });
+        await qcLibrary.update(commands => {
+            commands.push(copy);
+        });
+        audit(req, 'qc.copy', { type: 'quick_command', id: copy.id }, null, copy, { from: req.qc.id });
+        res.json({ ok: true, command: quickCommandView(copy, req.user) });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to create quick command' });
+        res.status(500).json({ ok: false, message: 'Failed to copy quick command' });
     }
 });
 
-app.delete('/api/quick-commands/:id', authMiddleware, hasPermission('delete_qc'), async (req, res) => {
+app.post('/api/quick-commands/:id/execute', authMiddleware, hasPermission('use_qc'), requireVisibleQuickCommand, async (req, res) => {
     try {
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
+        const targetBotId = req.body.botId || req.qc.botId;
+        if (!targetBotId || targetBotId === 'global') {
+            return res.status(400).json({ ok: false, message: 'Bot ID required' });
+        }
+        if (!qcLibrary.usableOn(req.qc, targetBotId)) {
+            return res.status(400).json({ ok: false, message: 'This quick command belongs to another bot' });
+        }
+        if (!await checkQuickCommandBot(req, res, targetBotId)) return;
         
-        const index = userQCs.findIndex(qc => qc.id === req.params.id);
-        if (index === -1) {
-            return res.status(404).json({ ok: false, message: 'Quick command not found' });
+        runQuickCommand(req, res, req.qc, targetBotId);
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to execute command' });
+    }
+});
+
+// Chat API
+app.post('/api/chat', authMiddleware, hasPermission('send_messages'), async (req, res) => {
+    try {
+        const { message, botId } = req.body;
+        
+        if (!botId) {
+            return res.status(400).json({ ok: false, message: 'Bot ID required' });
         }
         
-        userQCs.splice(index, 1);
-        qcs[req.user.username] = userQCs;
-        await saveJson(QC_PATH, qcs);
+        const bots = await loadJson(BOTS_PATH);
+        const bot = bots.find(b => b.id === botId);
+        if (!bot) {
+            return res.status(404).json({ ok: false, message: 'Bot not found' });
+        }
+        if (!botAccess.canAccess(bot, req.user, 'operate')) {
+            return res.status(403).json({ ok: false, message: 'Missing operate access to this bot' });
+        }
         
+        botCtrl.sendMessage(botId, message);
+        audit(req, 'chat.send', { type: 'bot', id: botId }, null, null, 
+            { message: secrets.maskAuthCommands(message) });
         res.json({ ok: true });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to delete quick command' });
+        res.status(500).json({ ok: false, message: 'Failed to send message' });
+    }
+});
+
+// Webhooks API
+// Hooks send bot events out of the panel, so a hook may only cover bots the user
+// can view, and only admins may leave the list empty to cover every bot
+function canUseHookBots(user, botIds, bots) {
+    if (botIds.length === 0) return user.permissions.includes('*');
+    return botIds.every(botId => {
+        const bot = bots.find(candidate => candidate.id === botId);
+        return !!bot && botAccess.canAccess(bot, user, 'view');
+    });
+}
+
+// The webhooks the user may see and change
+async function loadVisibleHooks(user) {
+    const config = await loadConfig();
+    const bots = await loadJson(BOTS_PATH);
+    return (config.webhooks || []).filter(hook => canUseHookBots(user, hook.bots || [], bots));
+}
+
+app.get('/api/webhooks', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
+    try {
+        const hooks = await loadVisibleHooks(req.user);
+        res.json({ 
+            ok: true, 
+            webhooks: hooks.map(webhooks.redactHook),
+            eventTypes: webhooks.EVENT_TYPES,
+            formats: webhooks.FORMATS
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load webhooks' });
     }
 });
 
-app.post('/api/quick-commands/:id/execute', authMiddleware, hasPermission('use_qc'), async (req, res) => {
+app.get('/api/webhooks/deliveries', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
     try {
-        const { botId } = req.body;
-        const qcs = await loadJson(QC_PATH);
-        const userQCs = qcs[req.user.username] || [];
+        const hookIds = (await loadVisibleHooks(req.user)).map(hook => hook.id);
+        const deliveries = webhooks.getDeliveries(req.query.hookId).filter(delivery => hookIds.includes(delivery.hookId));
+        res.json({ ok: true, deliveries });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load deliveries' });
+    }
+});
+
+app.post('/api/webhooks', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
+    try {
+        const { hook, error } = webhooks.normalizeHook(req.body);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        if (!canUseHookBots(req.user, hook.bots, await loadJson(BOTS_PATH))) {
+            return res.status(403).json({ ok: false, message: 'Select bots you have view access to' });
+        }
         
-        const qc = userQCs.find(q => q.id === req.params.id);
-        if (!qc) {
-            return res.status(404).json({ ok: false, message: 'Quick command not found' });
+        hook.id = `wh-${Date.now()}`;
+        hook.createdBy = req.user.username;
+        hook.createdAt = new Date().toISOString();
+        
+        // Saving config.json reconfigures the webhooks
+        await storage.update(CONFIG_PATH, config => {
+            config.webhooks = [...(config.webhooks || []), hook];
+        });
+        audit(req, 'webhook.create', { type: 'webhook', id: hook.id }, null, webhooks.redactHook(hook));
+        
+        res.json({ ok: true, webhook: webhooks.redactHook(hook) });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to create webhook' });
+    }
+});
+
+app.put('/api/webhooks/:id', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
+    try {
+        const existing = (await loadVisibleHooks(req.user)).find(hook => hook.id === req.params.id);
+        if (!existing) {
+            return res.status(404).json({ ok: false, message: 'Webhook not found' });
         }
         
-        // Send command through bot
-        const targetBotId = botId || qc.botId;
-        if (targetBotId === 'global') {
-            return res.status(400).json({ ok: false, message: 'Bot ID required' });
+        const { hook, error } = webhooks.normalizeHook(req.body, existing);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        if (!canUseHookBots(req.user, hook.bots, await loadJson(BOTS_PATH))) {
+            return res.status(403).json({ ok: false, message: 'Select bots you have view access to' });
+        }
+        
+        const updated = { ...hook, createdBy: existing.createdBy, createdAt: existing.createdAt };
+        const found = await storage.update(CONFIG_PATH, config => {
+            const latest = config.webhooks || [];
+            const latestIndex = latest.findIndex(candidate => candidate.id === existing.id);
+            if (latestIndex === -1) return false;
+            latest[latestIndex] = updated;
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ ok: false, message: 'Webhook not found' });
         }
         
-        botCtrl.sendMessage(targetBotId, qc.command);
+        audit(req, 'webhook.update', { type: 'webhook', id: existing.id }, 
+            webhooks.redactHook(existing), webhooks.redactHook(updated));
+        
+        res.json({ ok: true, webhook: webhooks.redactHook(updated) });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to update webhook' });
+    }
+});
+
+app.delete('/api/webhooks/:id', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
+    try {
+        const bots = await loadJson(BOTS_PATH);
+        const hook = await storage.update(CONFIG_PATH, config => {
+            const found = (config.webhooks || []).find(candidate => candidate.id === req.params.id && 
+                canUseHookBots(req.user, candidate.bots || [], bots));
+            if (found) config.webhooks = config.webhooks.filter(candidate => candidate.id !== req.params.id);
+            return found;
+        });
+        if (!hook) {
+            return res.status(404).json({ ok: false, message: 'Webhook not found' });
+        }
+        
+        audit(req, 'webhook.delete', { type: 'webhook', id: hook.id }, webhooks.redactHook(hook), null);
+        
         res.json({ ok: true });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to execute command' });
+        res.status(500).json({ ok: false, message: 'Failed to delete webhook' });
     }
 });
 
-// Chat API
-app.post('/api/chat', authMiddleware, hasPermission('send_messages'), async (req, res) => {
+// Send a test event to a webhook and report the result
+app.post('/api/webhooks/:id/test', authMiddleware, hasPermission('manage_webhooks'), async (req, res) => {
     try {
-        const { message, botId } = req.body;
+        const hook = (await loadVisibleHooks(req.user)).find(candidate => candidate.id === req.params.id);
+        if (!hook) {
+            return res.status(404).json({ ok: false, message: 'Webhook not found' });
+        }
         
-        if (!botId) {
-            return res.status(400).json({ ok: false, message: 'Bot ID required' });
+        const delivery = await webhooks.test(hook);
+        res.json({ ok: true, delivery });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to test webhook' });
+    }
+});
+
+// Chat bridge API
+function bridgeView(channel) {
+    return { ...chatBridge.redactChannel(channel), stats: chatBridge.getStats(channel.id) };
+}
+
+// A channel relays its bot's chat and types into it, so it needs operate access to the bot
+function checkBridgeAccess(user, botId) {
+    const bot = botCtrl.getBotConfig(botId);
+    if (!bot) return { status: 400, message: 'Bot not found' };
+    if (!botAccess.canAccess(bot, user, 'operate')) return { status: 403, message: 'Missing operate access to this bot' };
+    return null;
+}
+
+// Whether the user may see, change or delete an existing channel; channels
+// left behind by a deleted bot are anyone's to clean up
+function canManageChannel(user, channel) {
+    return !botCtrl.getBotConfig(channel.botId) || !checkBridgeAccess(user, channel.botId);
+}
+
+app.get('/api/bridge', authMiddleware, hasPermission('manage_bridge'), async (req, res) => {
+    try {
+        const config = await loadConfig();
+        const channels = (config.chatBridge || []).filter(channel => canManageChannel(req.user, channel));
+        res.json({
+            ok: true,
+            channels: channels.map(bridgeView),
+            adapters: Object.keys(chatBridge.ADAPTERS)
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load chat bridge' });
+    }
+});
+
+// The inbound token is only shown in the response that created it
+app.post('/api/bridge', authMiddleware, hasPermission('manage_bridge'), async (req, res) => {
+    try {
+        const { channel, token, error } = chatBridge.normalizeChannel(req.body);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        const denied = checkBridgeAccess(req.user, channel.botId);
+        if (denied) {
+            return res.status(denied.status).json({ ok: false, message: denied.message });
         }
         
-        botCtrl.sendMessage(botId, message);
+        channel.id = `br-${Date.now()}`;
+        channel.createdBy = req.user.username;
+        channel.createdAt = new Date().toISOString();
+        
+        // Saving config.json reconfigures the chat bridge
+        await storage.update(CONFIG_PATH, config => {
+            config.chatBridge = [...(config.chatBridge || []), channel];
+        });
+        audit(req, 'bridge.create', { type: 'bridge', id: channel.id }, null, chatBridge.redactChannel(channel));
+        
+        res.json({ ok: true, channel: bridgeView(channel), inboundToken: token });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to create bridge channel' });
+    }
+});
+
+app.put('/api/bridge/:id', authMiddleware, hasPermission('manage_bridge'), async (req, res) => {
+    try {
+        const config = await loadConfig();
+        const channels = config.chatBridge || [];
+        const index = channels.findIndex(channel => channel.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ ok: false, message: 'Bridge channel not found' });
+        }
+        
+        const existing = channels[index];
+        const { channel, token, error } = chatBridge.normalizeChannel(req.body, existing);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        // Moving a channel off a bot takes the same access as adding one to it
+        const denied = checkBridgeAccess(req.user, channel.botId) ||
+            (!canManageChannel(req.user, existing) && checkBridgeAccess(req.user, existing.botId));
+        if (denied) {
+            return res.status(denied.status).json({ ok: false, message: denied.message });
+        }
+        
+        const updated = { ...channel, createdBy: existing.createdBy, createdAt: existing.createdAt };
+        const found = await storage.update(CONFIG_PATH, config => {
+            const latest = config.chatBridge || [];
+            const latestIndex = latest.findIndex(candidate => candidate.id === existing.id);
+            if (latestIndex === -1) return false;
+            latest[latestIndex] = updated;
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ ok: false, message: 'Bridge channel not found' });
+        }
+        
+        audit(req, 'bridge.update', { type: 'bridge', id: existing.id }, 
+            chatBridge.redactChannel(existing), chatBridge.redactChannel(updated));
+        
+        res.json({ ok: true, channel: bridgeView(updated), inboundToken: token });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to update bridge channel' });
+    }
+});
+
+app.delete('/api/bridge/:id', authMiddleware, hasPermission('manage_bridge'), async (req, res) => {
+    try {
+        const channel = await storage.update(CONFIG_PATH, config => {
+            const found = (config.chatBridge || []).find(candidate => candidate.id === req.params.id);
+            if (found && !canManageChannel(req.user, found)) return { denied: true };
+            if (found) config.chatBridge = config.chatBridge.filter(candidate => candidate.id !== req.params.id);
+            return found;
+        });
+        if (!channel) {
+            return res.status(404).json({ ok: false, message: 'Bridge channel not found' });
+        }
+        if (channel.denied) {
+            return res.status(403).json({ ok: false, message: 'Missing operate access to this bot' });
+        }
+        
+        audit(req, 'bridge.delete', { type: 'bridge', id: channel.id }, chatBridge.redactChannel(channel), null);
+        
         res.json({ ok: true });
     } catch (error) {
-        res.status(500).json({ ok: false, message: 'Failed to send message' });
+        res.status(500).json({ ok: false, message: 'Failed to delete bridge channel' });
+    }
+});
+
+// Inbound messages from the external side, authenticated with the channel's token
+// (Authorization: Bearer <token>) instead of a panel session
+app.post('/api/bridge/:id/messages', (req, res) => {
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        const result = chatBridge.receive(req.params.id, token, req.body);
+        res.status(result.status).json({ ok: result.status < 300, message: result.message });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to relay message' });
+    }
+});
+
+// Schedules API
+// What the user needs to set up a schedule's action, on top of operate access to the bot
+const SCHEDULE_ACTION_PERMISSIONS = {
+    start: ['start_bots'],
+    stop: ['stop_bots'],
+    restart: ['start_bots', 'stop_bots'],
+    message: ['send_messages'],
+    quick_command: ['use_qc']
+};
+
+// Returns an error message if the user may not create or change this schedule
+async function checkScheduleAccess(user, schedule) {
+    const bots = await loadJson(BOTS_PATH);
+    const bot = bots.find(b => b.id === schedule.botId);
+    if (!bot) return 'Bot not found';
+    if (!botAccess.canAccess(bot, user, 'operate')) return 'Missing operate access to this bot';
+    
+    const missing = SCHEDULE_ACTION_PERMISSIONS[schedule.action.type].find(permission => !userHasPermission(user, permission));
+    if (missing) return `Missing permission: ${missing}`;
+    
+    if (schedule.action.type === 'quick_command') {
+        const commands = await qcLibrary.load();
+        const qc = commands.find(candidate => candidate.id === schedule.action.quickCommandId);
+        if (!qc || !qcLibrary.canSee(qc, user, bots) || !qcLibrary.usableOn(qc, bot.id)) {
+            return 'Quick command not found';
+        }
+    }
+    return null;
+}
+
+// Load a schedule on a bot the user can operate into req.schedule
+async function requireSchedule(req, res, next) {
+    try {
+        const schedule = scheduler.get(req.params.id);
+        const bots = await loadJson(BOTS_PATH);
+        const bot = schedule && bots.find(b => b.id === schedule.botId);
+        if (!schedule || (bot && !botAccess.canAccess(bot, req.user, 'view'))) {
+            return res.status(404).json({ ok: false, message: 'Schedule not found' });
+        }
+        req.schedule = schedule;
+        next();
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load schedule' });
+    }
+}
+
+app.get('/api/schedules', authMiddleware, hasPermission('manage_schedules'), async (req, res) => {
+    try {
+        const bots = await loadJson(BOTS_PATH);
+        const schedules = scheduler.list().filter(schedule => {
+            const bot = bots.find(b => b.id === schedule.botId);
+            return bot && botAccess.canAccess(bot, req.user, 'view');
+        });
+        res.json({
+            ok: true,
+            schedules,
+            actions: scheduler.ACTIONS,
+            defaultTimezone: scheduler.DEFAULT_TIMEZONE
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load schedules' });
+    }
+});
+
+app.post('/api/schedules', authMiddleware, hasPermission('manage_schedules'), async (req, res) => {
+    try {
+        const { schedule, error } = scheduler.normalizeSchedule(req.body);
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        
+        const denied = await checkScheduleAccess(req.user, schedule);
+        if (denied) {
+            return res.status(403).json({ ok: false, message: denied });
+        }
+        
+        const created = scheduler.add({
+            id: 'schedule-' + Date.now(),
+            ...schedule,
+            created: new Date().toISOString(),
+            createdBy: req.user.username,
+            lastRun: null,
+            history: []
+        });
+        audit(req, 'schedule.create', { type: 'schedule', id: created.id }, null, schedule);
+        res.json({ ok: true, schedule: created });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to create schedule' });
+    }
+});
+
+app.put('/api/schedules/:id', authMiddleware, hasPermission('manage_schedules'), requireSchedule, async (req, res) => {
+    try {
+        const { schedule, error } = scheduler.normalizeSchedule({ botId: req.schedule.botId, ...req.body });
+        if (error) {
+            return res.status(400).json({ ok: false, message: error });
+        }
+        
+        const denied = await checkScheduleAccess(req.user, req.schedule) || await checkScheduleAccess(req.user, schedule);
+        if (denied) {
+            return res.status(403).json({ ok: false, message: denied });
+        }
+        
+        // Run state isn't part of the change
+        const { nextRun, lastRun, history, ...before } = req.schedule;
+        const updated = scheduler.update(req.schedule.id, schedule);
+        audit(req, 'schedule.update', { type: 'schedule', id: updated.id }, before, { ...before, ...schedule });
+        res.json({ ok: true, schedule: updated });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to update schedule' });
+    }
+});
+
+app.delete('/api/schedules/:id', authMiddleware, hasPermission('manage_schedules'), requireSchedule, async (req, res) => {
+    try {
+        // Schedules whose bot is gone can be cleaned up by anyone who sees them
+        const bots = await loadJson(BOTS_PATH);
+        const bot = bots.find(b => b.id === req.schedule.botId);
+        if (bot && !botAccess.canAccess(bot, req.user, 'operate')) {
+            return res.status(403).json({ ok: false, message: 'Missing operate access to this bot' });
+        }
+        
+        const removed = scheduler.remove(req.schedule.id);
+        audit(req, 'schedule.delete', { type: 'schedule', id: removed.id }, 
+            { name: removed.name, botId: removed.botId, action: removed.action }, null);
+        res.json({ ok: true });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to delete schedule' });
+    }
+});
+
+// Run a schedule's action right away, outside its schedule
+app.post('/api/schedules/:id/run', authMiddleware, hasPermission('manage_schedules'), requireSchedule, async (req, res) => {
+    try {
+        const denied = await checkScheduleAccess(req.user, req.schedule);
+        if (denied) {
+            return res.status(403).json({ ok: false, message: denied });
+        }
+        
+        const run = await scheduler.runNow(req.schedule.id, req.user.username);
+        audit(req, 'schedule.run', { type: 'schedule', id: req.schedule.id }, null, null, 
+            { botId: req.schedule.botId, action: req.schedule.action.type, ok: run.ok, message: run.message });
+        res.json({ ok: true, run, schedule: scheduler.get(req.schedule.id) });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to run schedule' });
+    }
+});
+
+// Audit API: ?actor&action&targetType&targetId&from&to&limit&offset
+app.get('/api/audit', authMiddleware, hasPermission('view_audit'), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ ok: false, message: 'Invalid time range' });
+        }
+        
+        const result = await auditLog.query({
+            actor: req.query.actor,
+            action: req.query.action,
+            targetType: req.query.targetType,
+            targetId: req.query.targetId,
+            from,
+            to,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+        
+        res.json({ ok: true, ...result });
+    } catch (error) {
+        res.status(500).json({ ok: false, message: 'Failed to load audit log' });
     }
 });
 
 // Socket.IO
 io.on('connection', (socket) => {
     const token = socket.handshake.auth.token;
+    const user = sessionStore.get(token);
     
-    if (!token || !sessions[token]) {
+    if (!user) {
         socket.disconnect();
         return;
     }
     
-    const user = sessions[token];
     socket.user = user;
+    socket.authToken = token;
+    socket.sessionId = user.id;
+    
+    // Status updates only reach sockets that may view bots
+    syncSocketRooms(socket).catch(error => console.error('Failed to sync socket rooms:', error));
+    
+    // Check whether this socket may see a bot
+    const canViewBot = async (botId) => {
+        if (!userHasPermission(user, 'view_bots')) return false;
+        const bots = await loadJson(BOTS_PATH);
+        const bot = bots.find(b => b.id === botId);
+        return !!bot && botAccess.canAccess(bot, user, 'view');
+    };
     
     // Send initial bot statuses
-    const botStatuses = botCtrl.getAllBotStatuses();
-    socket.emit('bot-statuses', botStatuses);
+    if (userHasPermission(user, 'view_bots')) {
+        loadJson(BOTS_PATH)
+            .then(bots => {
+                const allStatuses = botCtrl.getAllBotStatuses();
+                const botStatuses = {};
+                bots.filter(bot => botAccess.canAccess(bot, user, 'view')).forEach(bot => {
+                    if (allStatuses[bot.id]) botStatuses[bot.id] = allStatuses[bot.id];
+                });
+                socket.emit('bot-statuses', botStatuses);
+            })
+            .catch(error => console.error('Failed to send bot statuses:', error));
+    }
     
     // Handle bot status requests
     socket.on('request-bot-status', (data) => {
-        const status = botCtrl.getBotStatus(data.botId);
-        socket.emit('bot-status', { botId: data.botId, ...status });
+        if (!data) return;
+        
+        canViewBot(data.botId)
+            .then(allowed => {
+                if (!allowed) return;
+                const status = botCtrl.getBotStatus(data.botId);
+                socket.emit('bot-status', { botId: data.botId, ...status });
+            })
+            .catch(error => console.error('Failed to send bot status:', error));
+    });
+    
+    // Subscribe to a single bot's status, and its logs and chat if allowed
+    socket.on('subscribe-bot', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            if (!data || !data.botId) {
+                return reply({ ok: false, message: 'Bot ID is required' });
+            }
+            if (!(await canViewBot(data.botId))) {
+                return reply({ ok: false, message: 'Bot not found' });
+            }
+            
+            socket.join(botCtrl.statusRoom(data.botId));
+            
+            const canViewConsole = userHasPermission(user, 'view_console');
+            if (canViewConsole) {
+                socket.join(botCtrl.consoleRoom(data.botId));
+            }
+            
+            reply({ ok: true, console: canViewConsole });
+        } catch (error) {
+            reply({ ok: false, message: 'Failed to subscribe to bot' });
+        }
+    });
+    
+    socket.on('unsubscribe-bot', (data) => {
+        if (!data || !data.botId) return;
+        socket.leave(botCtrl.consoleRoom(data.botId));
     });
     
     // Handle disconnect
@@ -920,8 +2097,60 @@ io.on('connection', (socket) => {
 });
 
 // Health check
-app.get('/health', (req, res) => {
-    res.json({ ok: true, status: 'healthy', timestamp: new Date().toISOString() });
+// Degraded while any bot that should be running is not online
+app.get('/health', async (req, res) => {
+    try {
+        const bots = await loadJson(BOTS_PATH);
+        // The bots that are started on boot, so are meant to be running
+        const expected = bots.filter(bot => botCtrl.shouldAutoStart(bot));
+        const offline = expected.filter(bot => botCtrl.getBotStatus(bot.id).state !== 'online');
+        
+        res.json({ 
+            ok: true, 
+            status: offline.length > 0 ? 'degraded' : 'healthy', 
+            bots: {
+                total: bots.length,
+                expected: expected.length,
+                online: expected.length - offline.length,
+                offline: offline.length
+            },
+            uptime: Math.floor(process.uptime()),
+            timestamp: new Date().toISOString() 
+        });
+    } catch (error) {
+        res.status(500).json({ ok: false, status: 'unhealthy', message: 'Failed to load bots' });
+    }
+});
+
+// Prometheus scrape endpoint. The bearer token set as metrics.scrapeToken in
+// config.json sees every bot; a panel session needs view_bots and only sees
+// the bots it can view
+app.get('/metrics', async (req, res) => {
+    try {
+        const config = await loadConfig();
+        const token = config.metrics && config.metrics.scrapeToken;
+        const scraper = !!token && req.headers.authorization === `Bearer ${token}`;
+        const session = scraper ? null : sessionStore.touch(req.headers['x-auth-token']);
+        if (!scraper && !session) {
+            return res.status(401).send('Unauthorized\n');
+        }
+        if (session && !userHasPermission(session, 'view_bots')) {
+            return res.status(403).send('Missing permission: view_bots\n');
+        }
+        
+        const bots = (await loadJson(BOTS_PATH)).filter(bot => scraper || botAccess.canAccess(bot, session, 'view'));
+        const body = prometheus.render(bots.map(bot => ({
+            id: bot.id,
+            name: bot.name,
+            status: botCtrl.getBotStatus(bot.id),
+            ...botCtrl.getConnectionInfo(bot.id)
+        })));
+        
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(body);
+    } catch (error) {
+        res.status(500).send('Failed to collect metrics\n');
+    }
 });
 
 // Error handling
@@ -940,33 +2169,87 @@ async function startServer() {
             await fs.mkdir(DATA_DIR, { recursive: true });
         }
         
-        // Ensure required files exist
-        const requiredFiles = [
-            { path: CONFIG_PATH, default: { server: { port: 3000 }, theme: 'dark' } },
-            { path: USERS_PATH, default: {} },
-            { path: ROLES_PATH, default: [] },
-            { path: BOTS_PATH, default: [] },
-            { path: QC_PATH, default: {} }
-        ];
-        
-        for (const file of requiredFiles) {
-            try {
-                await fs.access(file.path);
-            } catch {
-                await saveJson(file.path, file.default);
-            }
+        // Ensure required files exist; damaged files are restored from their
+        // backup and old formats migrated (quick commands used to be stored per user)
+        storage.onMigrate(({ name, from, to }) => {
+            console.log(`📦 Upgraded ${name} from version ${from} to ${to}`);
+        });
+        for (const file of [CONFIG_PATH, USERS_PATH, ROLES_PATH, BOTS_PATH, qcLibrary.QC_PATH]) {
+            await storage.ensure(file);
+        }
+        
+        // Encrypt bot passwords saved before secrets were encrypted at rest
+        const migrated = await storage.update(BOTS_PATH, bots => 
+            bots.filter(bot => secrets.encryptBotSecrets(bot)).length
+        );
+        if (migrated > 0) {
+            console.log(`🔒 Encrypted stored passwords for ${migrated} bot(s)`);
         }
         
         const config = await loadConfig();
         const port = config.server.port || 3000;
         
-        // Initialize bot controller with Socket.IO
+        // Initialize bot controller with Socket.IO and the migrated bot configs
         botCtrl.setSocketIO(io);
         
+        // Forward bot events to the configured webhooks and chat bridge channels,
+        // picking up changes to config.json as they are saved
+        webhooks.configure(config.webhooks);
+        botCtrl.onBotEvent(event => webhooks.handleEvent(event));
+        chatBridge.configure(config.chatBridge);
+        botCtrl.onBotEvent(event => chatBridge.handleEvent(event));
+        storage.onChange(CONFIG_PATH, changed => {
+            webhooks.configure(changed.webhooks);
+            chatBridge.configure(changed.chatBridge);
+        });
+        
+        // Automation rules react to the same events
+        rulesEngine.start({ setBotRunning });
+        botCtrl.onBotEvent(event => rulesEngine.handleEvent(event));
+        await botCtrl.loadBots();
+        
+        // Scheduled tasks; runs started by the schedule itself are audited here
+        await scheduler.start({
+            setBotRunning: async (botId, running) => {
+                if (!await setBotRunning(botId, running)) throw new Error('Bot no longer exists');
+            },
+            onRun: (schedule, run) => {
+                if (run.trigger !== 'schedule') return;
+                auditLog.record({
+                    actor: 'scheduler',
+                    action: 'schedule.run',
+                    target: { type: 'schedule', id: schedule.id },
+                    details: { botId: schedule.botId, action: schedule.action.type, ok: run.ok, message: run.message }
+                });
+            }
+        });
+        
+        // Start log retention
+        logStore.configure(config.logs);
+        
+        // Sample bot status for the uptime history
+        metricsStore.configure(config.metrics);
+        botCtrl.startSampling(config.metrics && config.metrics.sampleInterval);
+        
+        // Session expiry and login throttling
+        sessionStore.configure(config.security);
+        await sessionStore.load();
+        loginLimiter.configure(config.security);
+        setInterval(() => {
+            sessionStore.sweep();
+            loginLimiter.sweep();
+            disconnectExpiredSockets();
+        }, 60000).unref();
+        
         server.listen(port, () => {
             console.log(`🚀 MCBP V2 "Cupchuck" server listening on port ${port}`);
             console.log(`📁 Data directory: ${path.resolve(DATA_DIR)}`);
             console.log(`🌐 Web interface: http://localhost:${port}`);
+            
+            // Bring back bots that were running before the panel went down
+            const stagger = config.bots && config.bots.autoStartStagger !== undefined ? 
+                parseInt(config.bots.autoStartStagger) : undefined;
+            botCtrl.autoStartBots(stagger);
         });
         
     } catch (error) {
@@ -976,13 +2259,23 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+function shutdown() {
     console.log('Shutting down...');
     botCtrl.shutdownAll();
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-});
+    sessionStore.flush()
+        .catch(error => console.error('Failed to save sessions:', error))
+        .finally(() => {
+            server.close(() => {
+                console.log('Server closed');
+                process.exit(0);
+            });
+        });
+}
+
+// Tests load the app without starting the panel
+if (require.main === module) {
+    process.on('SIGINT', shutdown);
+    startServer();
+}
 
-startServer();
\ No newline at end of file
+module.exports = { app };
\ No newline at end of file
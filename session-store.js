@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const path = require('path');
+const storage = require('./storage');
+
+const SESSIONS_PATH = storage.define(path.join(__dirname, 'data', 'sessions.json'), { defaultValue: {} });
+const DEFAULT_SESSION_TIMEOUT = 86400000; // 24 hours
+const SAVE_DELAY = 5000; // Batch lastSeen updates into one write
+
+class SessionStore {
+    constructor() {
+        // Keyed by a hash of the token so the file on disk never holds usable tokens
+        this.sessions = new Map(); // token hash -> session object
+        this.timeout = DEFAULT_SESSION_TIMEOUT;
+        this.saveTimer = null;
+    }
+
+    // Apply config.security settings
+    configure(security = {}) {
+        if (security.sessionTimeout) {
+            this.timeout = parseInt(security.sessionTimeout);
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // Load persisted sessions, dropping any that expired while the panel was down
+    async load() {
+        try {
+            const data = await storage.read(SESSIONS_PATH);
+            Object.entries(data).forEach(([tokenHash, session]) => {
+                if (!this.isExpired(session)) {
+                    this.sessions.set(tokenHash, session);
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+
+    // Write sessions to disk shortly after a change
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Failed to save sessions:', error));
+        }, SAVE_DELAY);
+    }
+
+    async save() {
+        const data = {};
+        this.sessions.forEach((session, tokenHash) => {
+            data[tokenHash] = session;
+        });
+        await storage.write(SESSIONS_PATH, data);
+    }
+
+    // Write any pending changes immediately (used on shutdown)
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+    }
+
+    // Create a session for a logged in user
+    // meta: { ip, userAgent }
+    create(token, user, meta = {}) {
+        const now = Date.now();
+        const session = {
+            id: crypto.randomBytes(8).toString('hex'),
+            ...user,
+            ip: meta.ip || null,
+            userAgent: meta.userAgent || null,
+            created: new Date(now).toISOString(),
+            lastSeen: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.timeout).toISOString()
+        };
+        this.sessions.set(this.hashToken(token), session);
+        this.scheduleSave();
+        return session;
+    }
+
+    isExpired(session) {
+        return Date.parse(session.expiresAt) <= Date.now();
+    }
+
+    // Get a live session (expired sessions are dropped)
+    get(token) {
+        if (!token) return null;
+
+        const tokenHash = this.hashToken(token);
+        const session = this.sessions.get(tokenHash);
+        if (!session) return null;
+
+        if (this.isExpired(session)) {
+            this.sessions.delete(tokenHash);
+            this.scheduleSave();
+            return null;
+        }
+        return session;
+    }
+
+    // Get a live session and slide its expiry
+    touch(token) {
+        const session = this.get(token);
+        if (!session) return null;
+
+        const now = Date.now();
+        session.lastSeen = new Date(now).toISOString();
+        session.expiresAt = new Date(now + this.timeout).toISOString();
+        this.scheduleSave();
+        return session;
+    }
+
+    // Remove a single session by token
+    revoke(token) {
+        const removed = this.sessions.delete(this.hashToken(token));
+        if (removed) this.scheduleSave();
+        return removed;
+    }
+
+    // Remove every session matching a predicate, returns the revoked session ids
+    revokeWhere(predicate) {
+        const revoked = [];
+        this.sessions.forEach((session, tokenHash) => {
+            if (predicate(session)) {
+                revoked.push(session.id);
+                this.sessions.delete(tokenHash);
+            }
+        });
+        if (revoked.length > 0) this.scheduleSave();
+        return revoked;
+    }
+
+    // Remove a single session by its public id
+    revokeById(id) {
+        return this.revokeWhere(session => session.id === id).length > 0;
+    }
+
+    // All live sessions (without token hashes)
+    list() {
+        return Array.from(this.sessions.values()).filter(session => !this.isExpired(session));
+    }
+
+    // Drop expired sessions, returns the removed session ids
+    sweep() {
+        return this.revokeWhere(session => this.isExpired(session));
+    }
+}
+
+// Create singleton instance
+const sessionStore = new SessionStore();
+
+module.exports = {
+    configure: (security) => sessionStore.configure(security),
+    load: () => sessionStore.load(),
+    flush: () => sessionStore.flush(),
+    create: (token, user, meta) => sessionStore.create(token, user, meta),
+    get: (token) => sessionStore.get(token),
+    touch: (token) => sessionStore.touch(token),
+    revoke: (token) => sessionStore.revoke(token),
+    revokeWhere: (predicate) => sessionStore.revokeWhere(predicate),
+    revokeById: (id) => sessionStore.revokeById(id),
+    list: () => sessionStore.list(),
+    sweep: () => sessionStore.sweep()
+};
@@ -0,0 +1,243 @@
+// JSON files under data/.
+//
+// Every data file is declared once with define() and then read and changed
+// only through this module:
+//   - a write goes to a temporary file that is renamed over the old one, so a
+//     crash never leaves a half written file behind
+//   - writes and update() calls on one file run one at a time, so two requests
+//     changing the same file can't overwrite each other's changes
+//   - parsed files are cached and read again only when they change on disk
+//   - before a file is replaced its contents are kept as <file>.bak; a file
+//     that no longer parses is set aside and restored from that copy
+//   - object files can carry a version; older files are migrated when first read
+// Callers always get copies: changing what read() returns changes nothing until
+// it is written.
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+function clone(data) {
+    return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
+
+class Storage extends EventEmitter {
+    constructor() {
+        super();
+        this.files = new Map(); // resolved path -> { defaultValue, version, migrations }
+        this.cache = new Map(); // resolved path -> { data, mtimeMs, size }
+        this.locks = new Map(); // resolved path -> promise of the last queued operation
+    }
+
+    // options: {
+    //     defaultValue,        // what a missing file reads as
+    //     version: 2,          // current version of an object file's format
+    //     migrations: { 2: data => newData }   // from the previous version to each version
+    // }
+    define(filePath, options = {}) {
+        const file = path.resolve(filePath);
+        this.files.set(file, {
+            defaultValue: options.defaultValue === undefined ? null : options.defaultValue,
+            version: options.version || 0,
+            migrations: options.migrations || {}
+        });
+        return file;
+    }
+
+    resolve(filePath) {
+        const file = path.resolve(filePath);
+        if (!this.files.has(file)) {
+            throw new Error(`${path.basename(file)} is not a defined data file`);
+        }
+        return file;
+    }
+
+    // Run fn once every earlier operation on the file has finished
+    withLock(file, fn) {
+        const previous = this.locks.get(file) || Promise.resolve();
+        const result = previous.then(fn);
+        const done = result.catch(() => {});
+        this.locks.set(file, done);
+        done.then(() => {
+            if (this.locks.get(file) === done) this.locks.delete(file);
+        });
+        return result;
+    }
+
+    read(filePath) {
+        const file = this.resolve(filePath);
+        return this.withLock(file, async () => clone(await this.load(file)));
+    }
+
+    write(filePath, data) {
+        const file = this.resolve(filePath);
+        return this.withLock(file, () => this.save(file, data));
+    }
+
+    // Read, change and write a file without anyone else writing it in between.
+    // fn gets a copy of the data to change in place (it may be async) and its
+    // return value is passed through. The file is only written if the data
+    // changed, so fn can bail out by returning before changing anything. fn must
+    // not read or write the same file itself, that would wait forever.
+    update(filePath, fn) {
+        const file = this.resolve(filePath);
+        return this.withLock(file, async () => {
+            const current = await this.load(file);
+            const data = clone(current);
+            const result = await fn(data);
+            if (JSON.stringify(data) !== JSON.stringify(current)) {
+                await this.save(file, data);
+            }
+            return result;
+        });
+    }
+
+    // Create a missing file with its default and load it, so damaged and
+    // outdated files are dealt with before anything uses them
+    ensure(filePath) {
+        const file = this.resolve(filePath);
+        return this.withLock(file, async () => {
+            try {
+                await fs.access(file);
+            } catch {
+                await this.save(file, this.files.get(file).defaultValue);
+            }
+            await this.load(file);
+        });
+    }
+
+    // listener(data) runs after every write of the file, and when the file
+    // was found changed on disk by someone else
+    onChange(filePath, listener) {
+        const file = this.resolve(filePath);
+        this.on('change', (changedFile, data) => {
+            if (changedFile === file) listener(clone(data));
+        });
+    }
+
+    // Parsed contents, from the cache unless the file changed on disk
+    async load(file) {
+        let stat;
+        try {
+            stat = await fs.stat(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return this.files.get(file).defaultValue;
+        }
+
+        const cached = this.cache.get(file);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+            return cached.data;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            // The restored copy is saved, and so cached, by recover()
+            return this.migrate(file, await this.recover(file, error));
+        }
+
+        const migrated = await this.migrate(file, data);
+        if (migrated !== data) return migrated;
+
+        this.remember(file, data, stat);
+        // Edited by hand while the panel was running
+        if (cached) this.emit('change', file, data);
+        return data;
+    }
+
+    remember(file, data, stat) {
+        this.cache.set(file, { data, mtimeMs: stat.mtimeMs, size: stat.size });
+    }
+
+    async save(file, data) {
+        const tmpFile = `${file}.tmp`;
+        const handle = await fs.open(tmpFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await this.backup(file);
+        await fs.rename(tmpFile, file);
+
+        const saved = clone(data);
+        this.remember(file, saved, await fs.stat(file));
+        this.emit('change', file, saved);
+    }
+
+    // Keep the file about to be replaced as the last good copy
+    async backup(file) {
+        let text;
+        try {
+            text = await fs.readFile(file, 'utf8');
+            JSON.parse(text);
+        } catch (error) {
+            // Nothing there yet, or nothing worth keeping
+            return;
+        }
+
+        const backupFile = `${file}.bak`;
+        await fs.writeFile(`${backupFile}.tmp`, text, 'utf8');
+        await fs.rename(`${backupFile}.tmp`, backupFile);
+    }
+
+    // A file that doesn't parse is moved aside and replaced by its last good copy
+    async recover(file, parseError) {
+        const name = path.basename(file);
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(`${file}.bak`, 'utf8'));
+        } catch (error) {
+            throw new Error(`${name} is damaged (${parseError.message}) and there is no usable ${name}.bak to restore it from`);
+        }
+
+        const damagedFile = `${file}.damaged-${Date.now()}`;
+        await fs.rename(file, damagedFile);
+        await this.save(file, data);
+        console.warn(`⚠️ ${name} was damaged and has been restored from ${name}.bak (the damaged file is kept as ${path.basename(damagedFile)})`);
+        return data;
+    }
+
+    // Bring an object file up to the defined version; returns the data as is
+    // when there was nothing to do
+    async migrate(file, data) {
+        const { version, migrations } = this.files.get(file);
+        if (!version || !data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+        const name = path.basename(file);
+        const from = data.version || 1;
+        if (from > version) {
+            throw new Error(`${name} was written by a newer version of the panel (version ${from}, this one knows ${version})`);
+        }
+        if (from === version) return data;
+
+        let migrated = data;
+        for (let next = from + 1; next <= version; next++) {
+            if (migrations[next]) migrated = migrations[next](migrated);
+            migrated.version = next;
+        }
+
+        // The old contents stay behind as the .bak
+        await this.save(file, migrated);
+        this.emit('migrate', { file, name, from, to: version });
+        return this.cache.get(file).data;
+    }
+}
+
+// Create singleton instance
+const storage = new Storage();
+
+module.exports = {
+    define: (filePath, options) => storage.define(filePath, options),
+    read: (filePath) => storage.read(filePath),
+    write: (filePath, data) => storage.write(filePath, data),
+    update: (filePath, fn) => storage.update(filePath, fn),
+    ensure: (filePath) => storage.ensure(filePath),
+    onChange: (filePath, listener) => storage.onChange(filePath, listener),
+    onMigrate: (listener) => storage.on('migrate', listener)
+};
@@ -0,0 +1,147 @@
+// Live telemetry for a connected bot.
+//
+// Counts packets and watches the world while the bot is online, then hands a
+// snapshot to `onUpdate` once per `interval` ms. Bot events like `move` fire many
+// times a second, so nothing is pushed to the status directly from them.
+
+const DEFAULT_INTERVAL = 2000;
+const ENTITY_RANGE = 64; // Blocks around the bot counted as "nearby"
+const TPS_WINDOW = 10; // Time updates used for the TPS estimate
+
+class Telemetry {
+    // options: { interval, onUpdate(stats) }
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.onUpdate = options.onUpdate;
+
+        this.packetsIn = 0;
+        this.packetsOut = 0;
+        this.lastSample = Date.now();
+        this.timeSamples = []; // [{ at, age }] from the server's time updates
+        this.timer = null;
+
+        this.handlePacket = this.handlePacket.bind(this);
+        this.handleTime = this.handleTime.bind(this);
+
+        // minecraft-protocol has no event for outgoing packets, so count them on write
+        const client = bot._client;
+        this.originalWrite = client.write;
+        client.write = (name, params) => {
+            this.packetsOut++;
+            return this.originalWrite.call(client, name, params);
+        };
+
+        client.on('packet', this.handlePacket);
+        bot.on('time', this.handleTime);
+    }
+
+    // Called once the bot has spawned
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.onUpdate(this.snapshot()), this.interval);
+    }
+
+    handlePacket() {
+        this.packetsIn++;
+    }
+
+    handleTime() {
+        if (typeof this.bot.time.age !== 'number') return;
+
+        this.timeSamples.push({ at: Date.now(), age: this.bot.time.age });
+        if (this.timeSamples.length > TPS_WINDOW) {
+            this.timeSamples.shift();
+        }
+    }
+
+    // World age advances 20 ticks per second on a healthy server
+    estimateTps() {
+        if (this.timeSamples.length < 2) return null;
+
+        const first = this.timeSamples[0];
+        const last = this.timeSamples[this.timeSamples.length - 1];
+        const seconds = (last.at - first.at) / 1000;
+        if (seconds <= 0) return null;
+
+        const tps = (last.age - first.age) / seconds;
+        return Math.round(Math.min(Math.max(tps, 0), 20) * 10) / 10;
+    }
+
+    countEntities() {
+        const bot = this.bot;
+        const byType = {};
+        let total = 0;
+
+        Object.values(bot.entities).forEach(entity => {
+            if (entity === bot.entity || !entity.position) return;
+            if (entity.position.distanceTo(bot.entity.position) > ENTITY_RANGE) return;
+
+            const type = entity.type || 'other';
+            byType[type] = (byType[type] || 0) + 1;
+            total++;
+        });
+
+        return { total, byType };
+    }
+
+    snapshot() {
+        const bot = this.bot;
+        const now = Date.now();
+        const seconds = Math.max((now - this.lastSample) / 1000, 0.001);
+
+        const stats = {
+            packetsIn: Math.round(this.packetsIn / seconds),
+            packetsOut: Math.round(this.packetsOut / seconds),
+            tps: this.estimateTps(),
+            updatedAt: new Date(now).toISOString()
+        };
+        stats.packetsPerSecond = stats.packetsIn + stats.packetsOut;
+
+        this.packetsIn = 0;
+        this.packetsOut = 0;
+        this.lastSample = now;
+
+        if (!bot.entity) return stats;
+
+        const entities = this.countEntities();
+        const held = bot.heldItem;
+
+        return {
+            ...stats,
+            position: bot.entity.position,
+            world: bot.game.dimension,
+            dimension: bot.game.dimension,
+            health: bot.health,
+            food: bot.food,
+            ping: bot.player ? bot.player.ping : null,
+            chunksLoaded: bot.world.getColumns().length,
+            entities: entities.total,
+            entitiesByType: entities.byType,
+            experience: bot.experience ? {
+                level: bot.experience.level,
+                points: bot.experience.points,
+                progress: bot.experience.progress
+            } : null,
+            heldItem: held ? { name: held.name, displayName: held.displayName, count: held.count } : null,
+            gameMode: bot.game.gameMode,
+            weather: bot.thunderState > 0 ? 'thunder' : (bot.isRaining ? 'rain' : 'clear')
+        };
+    }
+
+    // Stop collecting (bot disconnected)
+    destroy() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.bot._client.write = this.originalWrite;
+        this.bot._client.removeListener('packet', this.handlePacket);
+        this.bot.removeListener('time', this.handleTime);
+    }
+}
+
+module.exports = {
+    Telemetry,
+    DEFAULT_INTERVAL
+};
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { AuthFlow, AUTH_STATES } = require('../authme');
+
+function createFlow(settings = {}) {
+    const bot = new EventEmitter();
+    bot.sent = [];
+    bot.chat = (command) => bot.sent.push(command);
+    const flow = new AuthFlow(bot, {
+        password: 'secret',
+        settings,
+        log: () => {},
+        onStateChange: () => {}
+    });
+    return { bot, flow };
+}
+
+test('player chat never triggers a login', () => {
+    const { bot, flow } = createFlow();
+    flow.start();
+    bot.emit('messagestr', '<Steve> /login please', 'chat', null, 'steve-uuid');
+    bot.emit('messagestr', '/captcha op', 'chat', null, 'steve-uuid');
+    assert.deepStrictEqual(bot.sent, []);
+    flow.destroy();
+});
+
+test('server prompts are answered', () => {
+    const { bot, flow } = createFlow();
+    flow.start();
+    bot.emit('messagestr', 'Please login with /login <password>', 'system', null, null);
+    assert.deepStrictEqual(bot.sent, ['/login secret']);
+    assert.strictEqual(flow.state, AUTH_STATES.LOGGING_IN);
+    flow.destroy();
+});
+
+test('nothing is answered once the server turned out not to need a login', async () => {
+    const { bot, flow } = createFlow({ promptTimeout: 10 });
+    flow.start();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(flow.state, AUTH_STATES.NOT_REQUIRED);
+    bot.emit('messagestr', 'Please register with /register', 'system', null, null);
+    assert.deepStrictEqual(bot.sent, []);
+    assert.strictEqual(bot.listenerCount('messagestr'), 0);
+});
+
+test('a repeated captcha prompt is answered once per retry window', () => {
+    const { bot, flow } = createFlow();
+    flow.start();
+    bot.emit('messagestr', 'Type /captcha abc12', 'system', null, null);
+    bot.emit('messagestr', 'Type /captcha abc12', 'system', null, null);
+    bot.emit('messagestr', 'Type /captcha abc12', 'system', null, null);
+    assert.deepStrictEqual(bot.sent, ['/captcha abc12']);
+    flow.destroy();
+});
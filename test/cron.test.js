@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const cron = require('../cron');
+
+function next(expression, timeZone, after) {
+    const run = cron.nextRun(cron.parse(expression).cron, timeZone, new Date(after));
+    return run && run.toISOString();
+}
+
+test('fields take ranges, steps, lists and names', () => {
+    const { cron: parsed } = cron.parse('0-30/10 1,15 * jan-mar mon-fri');
+    assert.deepStrictEqual(parsed.minutes, [0, 10, 20, 30]);
+    assert.deepStrictEqual(parsed.hours, [1, 15]);
+    assert.deepStrictEqual(parsed.months, [1, 2, 3]);
+    assert.deepStrictEqual(parsed.weekdays, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(cron.parse('*/15 * * * *').cron.minutes, [0, 15, 30, 45]);
+});
+
+test('7 is Sunday and shortcuts expand', () => {
+    assert.deepStrictEqual(cron.parse('0 0 * * 7').cron.weekdays, [0]);
+    assert.deepStrictEqual(cron.parse('@weekly').cron, cron.parse('0 0 * * 0').cron);
+});
+
+test('invalid expressions are refused with a message', () => {
+    assert.strictEqual(cron.parse('60 * * * *').error, 'minute must be between 0 and 59');
+    assert.match(cron.parse('* * *').error, /needs 5 fields/);
+    assert.match(cron.parse('*/0 * * * *').error, /Invalid step/);
+    assert.match(cron.parse('5-1 * * * *').error, /between/);
+});
+
+test('a restricted day of month and day of week match when either does', () => {
+    // The 13th, and every Friday
+    assert.strictEqual(next('0 0 13 * fri', 'UTC', '2025-06-01T00:00:00Z'), '2025-06-06T00:00:00.000Z');
+    assert.strictEqual(next('0 0 13 * fri', 'UTC', '2025-06-10T00:00:00Z'), '2025-06-13T00:00:00.000Z');
+    assert.strictEqual(next('0 0 13 * *', 'UTC', '2025-06-01T00:00:00Z'), '2025-06-13T00:00:00.000Z');
+});
+
+test('a time skipped by the spring change does not run that day', () => {
+    // Berlin skips 02:00-03:00 on 2025-03-30
+    assert.strictEqual(next('30 2 * * *', 'Europe/Berlin', '2025-03-29T12:00:00Z'), '2025-03-31T00:30:00.000Z');
+    assert.strictEqual(next('0 * * * *', 'Europe/Berlin', '2025-03-30T00:30:00Z'), '2025-03-30T01:00:00.000Z');
+});
+
+test('a time repeated by the autumn change runs once', () => {
+    // Berlin has 02:00-03:00 twice on 2025-10-26
+    const first = next('30 2 * * *', 'Europe/Berlin', '2025-10-25T12:00:00Z');
+    assert.strictEqual(first, '2025-10-26T01:30:00.000Z');
+    assert.strictEqual(next('30 2 * * *', 'Europe/Berlin', first), '2025-10-27T01:30:00.000Z');
+});
+
+test('local times are read in the schedule time zone', () => {
+    assert.strictEqual(cron.parseLocalTime('2025-06-01T04:00', 'Europe/Berlin').toISOString(), '2025-06-01T02:00:00.000Z');
+    assert.strictEqual(cron.parseLocalTime('2025-03-30T02:30', 'Europe/Berlin'), null);
+});
@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { app } = require('../server');
+const botCtrl = require('../bot-control');
+const sessionStore = require('../session-store');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+// A logged in bot viewer and bridge and webhook manager, not an admin, with no access to a restricted bot
+const SESSION_TOKEN = 'test-bridge-manager';
+
+before(async () => {
+    // Keep whatever sessions are on disk when ours is written out
+    await sessionStore.load();
+    sessionStore.create(SESSION_TOKEN, { username: 'bridge-manager', role: 'moderator', permissions: ['view_bots', 'manage_bridge', 'manage_webhooks'], level: 50 });
+    botCtrl.addBot({ id: 'bot-test-restricted', name: 'Restricted', owner: 'someone-else', access: { restricted: true } });
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    botCtrl.removeBot('bot-test-restricted');
+    sessionStore.revoke(SESSION_TOKEN);
+    await sessionStore.flush();
+});
+
+test('the master key is not served', async () => {
+    const response = await fetch(`${baseUrl}/data/master.key`);
+    assert.strictEqual(response.status, 404);
+});
+
+test('sessions are not served', async () => {
+    const response = await fetch(`${baseUrl}/data/sessions.json`);
+    assert.strictEqual(response.status, 404);
+});
+
+test('the audit trail is not served', async () => {
+    const response = await fetch(`${baseUrl}/data/audit.jsonl`);
+    assert.strictEqual(response.status, 404);
+});
+
+test('page assets are served', async () => {
+    for (const file of ['/common.js', '/styles.css']) {
+        const response = await fetch(baseUrl + file);
+        assert.strictEqual(response.status, 200, file);
+    }
+});
+
+test('a bridge channel needs operate access to its bot', async () => {
+    const response = await fetch(`${baseUrl}/api/bridge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': SESSION_TOKEN },
+        body: JSON.stringify({ name: 'Relay', botId: 'bot-test-restricted', outboundUrl: 'https://example.com/hook' })
+    });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).message, 'Missing operate access to this bot');
+});
+
+test('health reports counts but no bot details', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(typeof (await response.json()).bots.offline, 'number');
+});
+
+test('metrics need a session or the scrape token', async () => {
+    const anonymous = await fetch(`${baseUrl}/metrics`);
+    assert.strictEqual(anonymous.status, 401);
+
+    const loggedIn = await fetch(`${baseUrl}/metrics`, { headers: { 'x-auth-token': SESSION_TOKEN } });
+    assert.strictEqual(loggedIn.status, 200);
+});
+
+test('metrics only list the bots the session can view', async () => {
+    const botsPath = path.join(__dirname, '..', 'data', 'bots.json');
+    const original = await storage.read(botsPath);
+    await storage.update(botsPath, bots => {
+        bots.push({ id: 'bot-test-hidden', name: 'Hidden', owner: 'someone-else', access: { restricted: true } });
+    });
+
+    try {
+        const response = await fetch(`${baseUrl}/metrics`, { headers: { 'x-auth-token': SESSION_TOKEN } });
+        assert.strictEqual(response.status, 200);
+        assert.ok(!(await response.text()).includes('bot-test-hidden'));
+    } finally {
+        await storage.write(botsPath, original);
+    }
+});
+
+test('only admins can send webhook events of every bot', async () => {
+    const response = await fetch(`${baseUrl}/api/webhooks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': SESSION_TOKEN },
+        body: JSON.stringify({ name: 'Everything', url: 'https://example.com/hook', events: ['kicked'], bots: [] })
+    });
+    assert.strictEqual(response.status, 403);
+});
+
+test('deleting a user signs them out', async () => {
+    const usersPath = path.join(__dirname, '..', 'data', 'users.json');
+    const original = await storage.read(usersPath);
+    await storage.update(usersPath, users => {
+        users['session-test-user'] = { password: 'unused', role: 'viewer', permissions: [] };
+    });
+    sessionStore.create('test-admin', { username: 'session-test-admin', role: 'admin', permissions: ['*'], level: 100 });
+    sessionStore.create('test-viewer', { username: 'session-test-user', role: 'viewer', permissions: [], level: 10 });
+
+    try {
+        const response = await fetch(`${baseUrl}/api/users/session-test-user`, {
+            method: 'DELETE',
+            headers: { 'x-auth-token': 'test-admin' }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(sessionStore.get('test-viewer'), null);
+    } finally {
+        sessionStore.revoke('test-admin');
+        sessionStore.revoke('test-viewer');
+        await storage.write(usersPath, original);
+    }
+});
+
+test('bridge channels of bots the user cannot operate are hidden and kept', async () => {
+    const configPath = path.join(__dirname, '..', 'data', 'config.json');
+    const original = await storage.read(configPath);
+    await storage.update(configPath, config => {
+        config.chatBridge = [{ id: 'br-test', name: 'Relay', botId: 'bot-test-restricted', outboundUrl: 'https://example.com/hook' }];
+    });
+
+    try {
+        const headers = { 'x-auth-token': SESSION_TOKEN };
+        const list = await (await fetch(`${baseUrl}/api/bridge`, { headers })).json();
+        assert.deepStrictEqual(list.channels, []);
+
+        const response = await fetch(`${baseUrl}/api/bridge/br-test`, { method: 'DELETE', headers });
+        assert.strictEqual(response.status, 403);
+    } finally {
+        await storage.write(configPath, original);
+    }
+});
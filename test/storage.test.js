@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const storage = require('../storage');
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcbp-storage-'));
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('concurrent updates keep every change', async () => {
+    const file = storage.define(path.join(dir, 'list.json'), { defaultValue: [] });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.update(file, list => {
+        list.push(i);
+    })));
+
+    const list = await storage.read(file);
+    assert.deepStrictEqual(list.sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+});
+
+test('a damaged file is restored from its backup and kept aside', async () => {
+    const file = storage.define(path.join(dir, 'damaged.json'), { defaultValue: {} });
+    await storage.write(file, { value: 'first' });
+    await storage.write(file, { value: 'second' });
+    await fs.writeFile(file, '{ "value": "sec', 'utf8');
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepStrictEqual(await storage.read(file), { value: 'first' });
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    const damaged = (await fs.readdir(dir)).filter(name => name.startsWith('damaged.json.damaged-'));
+    assert.strictEqual(damaged.length, 1);
+    assert.strictEqual(await fs.readFile(path.join(dir, damaged[0]), 'utf8'), '{ "value": "sec');
+});
+
+test('an older file is migrated once and gets the new version', async () => {
+    const file = storage.define(path.join(dir, 'versioned.json'), {
+        defaultValue: { version: 2, items: [] },
+        version: 2,
+        migrations: { 2: data => ({ items: data.list, runs: (data.runs || 0) + 1 }) }
+    });
+    await fs.writeFile(file, JSON.stringify({ list: ['a'] }), 'utf8');
+
+    const migrations = [];
+    storage.onMigrate(migration => migrations.push(migration));
+
+    await storage.read(file);
+    const data = await storage.read(file);
+    assert.deepStrictEqual(data, { items: ['a'], runs: 1, version: 2 });
+    assert.deepStrictEqual(JSON.parse(await fs.readFile(file, 'utf8')), data);
+    assert.strictEqual(migrations.filter(migration => migration.file === file).length, 1);
+});
+
+test('a file from a newer version is refused', async () => {
+    const file = storage.define(path.join(dir, 'newer.json'), { defaultValue: { version: 2 }, version: 2 });
+    await fs.writeFile(file, JSON.stringify({ version: 3 }), 'utf8');
+
+    await assert.rejects(storage.read(file), /newer version/);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MCBP_MASTER_KEY = 'webhooks test key';
+const webhooks = require('../webhooks');
+
+test('a secret that no longer decrypts fails the delivery instead of the process', async () => {
+    webhooks.configure([{
+        id: 'hook-test',
+        name: 'Broken secret',
+        url: 'http://127.0.0.1:9/',
+        events: ['kicked'],
+        bots: [],
+        secret: 'enc:v1:AAAA:AAAA:AAAA'
+    }]);
+
+    webhooks.handleEvent({
+        type: 'kicked',
+        botId: 'bot-test',
+        botName: 'Test',
+        data: { reason: 'test' },
+        timestamp: new Date().toISOString()
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [delivery] = webhooks.getDeliveries('hook-test');
+    assert.strictEqual(delivery.ok, false);
+    assert.ok(delivery.error);
+    assert.strictEqual(delivery.nextRetryAt, undefined);
+});
@@ -0,0 +1,297 @@
+// Outgoing webhooks for bot events.
+//
+// Webhooks are stored in the `webhooks` array of config.json:
+//   {
+//       id, name, url, enabled: true,
+//       events: ['kicked', 'death'],   // see EVENT_TYPES
+//       bots: [],                      // bot ids, empty means every bot
+//       format: 'json',                // or 'discord' for Discord webhook URLs
+//       secret: 'enc:v1:...',          // optional, signs the body with HMAC-SHA256
+//       chatPattern: ''                // regular expression for chat_match
+//   }
+// Failed deliveries are retried with a growing delay; the most recent
+// deliveries are kept in memory for the webhooks page.
+
+const crypto = require('crypto');
+const secrets = require('./secrets');
+
+const EVENT_TYPES = {
+    status: 'Status changed',
+    kicked: 'Kicked',
+    death: 'Died',
+    mention: 'Mentioned in chat',
+    player_join: 'Player joined',
+    player_leave: 'Player left',
+    chat_match: 'Chat matches pattern',
+    rule: 'Automation rule notification'
+};
+
+const FORMATS = ['json', 'discord'];
+const RETRY_DELAYS = [5000, 30000, 120000, 600000]; // After the 1st, 2nd, ... failed attempt
+const REQUEST_TIMEOUT = 10000;
+const MAX_DELIVERIES = 200;
+
+// Discord embed colours per event
+const COLORS = {
+    status: 0x2196f3,
+    kicked: 0xf44336,
+    death: 0xf44336,
+    mention: 0xff9800,
+    player_join: 0x4caf50,
+    player_leave: 0x999999,
+    chat_match: 0xff9800,
+    rule: 0x9c27b0,
+    test: 0x4caf50
+};
+
+const STATE_LABELS = {
+    idle: 'idle',
+    connecting: 'connecting',
+    authenticating: 'logging in',
+    online: 'online',
+    backoff: 'waiting to reconnect',
+    stopped: 'stopped',
+    failed: 'failed'
+};
+
+// Short human readable line for an event
+function describe(event) {
+    const data = event.data || {};
+    switch (event.type) {
+        case 'status': {
+            const reason = data.lastError && (data.to === 'backoff' || data.to === 'failed') ? `: ${data.lastError}` : '';
+            return `${event.botName} is now ${STATE_LABELS[data.to] || data.to}${reason}`;
+        }
+        case 'kicked':
+            return `${event.botName} was kicked: ${data.reason}`;
+        case 'death':
+            return `${event.botName} died`;
+        case 'mention':
+        case 'chat_match':
+            return `<${data.username}> ${data.message}`;
+        case 'player_join':
+            return `${data.username} joined (seen by ${event.botName})`;
+        case 'player_leave':
+            return `${data.username} left (seen by ${event.botName})`;
+        case 'rule':
+            return `${event.botName}: ${data.message}`;
+        default:
+            return `Test delivery from MCBP for ${event.botName}`;
+    }
+}
+
+function formatPayload(hook, event) {
+    if (hook.format === 'discord') {
+        return {
+            username: 'MCBP',
+            embeds: [{
+                title: EVENT_TYPES[event.type] || 'Test',
+                description: describe(event).slice(0, 4000),
+                color: COLORS[event.type] || COLORS.status,
+                timestamp: event.timestamp,
+                footer: { text: `${event.botName} (${event.botId})` }
+            }]
+        };
+    }
+
+    return {
+        event: event.type,
+        bot: { id: event.botId, name: event.botName },
+        summary: describe(event),
+        data: event.data,
+        timestamp: event.timestamp
+    };
+}
+
+function compilePattern(pattern) {
+    if (!pattern) return null;
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        return null;
+    }
+}
+
+class WebhookManager {
+    constructor() {
+        this.hooks = [];
+        this.deliveries = []; // Newest first
+    }
+
+    // Replace the active webhooks (called on boot and after every change)
+    configure(hooks = []) {
+        this.hooks = hooks.map(hook => ({ ...hook, pattern: compilePattern(hook.chatPattern) }));
+    }
+
+    // Which event type a hook would see this bot event as, or null
+    matchType(hook, event) {
+        if (hook.enabled === false) return null;
+        if (hook.bots && hook.bots.length > 0 && !hook.bots.includes(event.botId)) return null;
+
+        // Every chat line arrives as a 'chat' event, hooks opt in with a pattern
+        if (event.type === 'chat') {
+            return hook.events.includes('chat_match') && hook.pattern && hook.pattern.test(event.data.message) ?
+                'chat_match' : null;
+        }
+        return hook.events.includes(event.type) ? event.type : null;
+    }
+
+    handleEvent(event) {
+        this.hooks.forEach(hook => {
+            const type = this.matchType(hook, event);
+            if (type) {
+                this.deliver(hook, { ...event, type })
+                    .catch(error => console.error('Failed to deliver webhook:', error));
+            }
+        });
+    }
+
+    // Send a delivery, retrying on network errors, 429 and 5xx responses.
+    // options: { attempt, deliveryId, retry }
+    async deliver(hook, event, options = {}) {
+        const attempt = options.attempt || 1;
+        const deliveryId = options.deliveryId || crypto.randomUUID();
+        const delivery = {
+            id: deliveryId,
+            hookId: hook.id,
+            hookName: hook.name,
+            event: event.type,
+            botId: event.botId,
+            attempt,
+            timestamp: new Date().toISOString()
+        };
+
+        let retryAfter = null;
+        let sent = false;
+        try {
+            const body = JSON.stringify(formatPayload(hook, event));
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MCBP-Webhooks',
+                'X-MCBP-Event': event.type,
+                'X-MCBP-Delivery': deliveryId
+            };
+            if (hook.secret) {
+                // Fails if the secret was encrypted with another master key
+                const signature = crypto.createHmac('sha256', secrets.decrypt(hook.secret)).update(body).digest('hex');
+                headers['X-MCBP-Signature'] = `sha256=${signature}`;
+            }
+
+            sent = true;
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+            });
+            delivery.status = response.status;
+            delivery.ok = response.ok;
+
+            if (response.status === 429) {
+                // Discord tells us how long to wait
+                retryAfter = parseFloat(response.headers.get('retry-after')) * 1000 || null;
+            }
+            if (!response.ok) {
+                delivery.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            delivery.ok = false;
+            delivery.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+        }
+
+        // Other 4xx responses won't get better by retrying, nor will a delivery
+        // that couldn't even be signed
+        const retryable = !delivery.ok && sent && (!delivery.status || delivery.status === 429 || delivery.status >= 500);
+        if (retryable && options.retry !== false && attempt <= RETRY_DELAYS.length) {
+            const delay = retryAfter || RETRY_DELAYS[attempt - 1];
+            delivery.nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+            const timer = setTimeout(() => {
+                // Skip the retry if the webhook was deleted or disabled meanwhile
+                const current = this.hooks.find(candidate => candidate.id === hook.id);
+                if (current && current.enabled !== false) {
+                    this.deliver(current, event, { attempt: attempt + 1, deliveryId })
+                        .catch(error => console.error('Failed to deliver webhook:', error));
+                }
+            }, delay);
+            timer.unref();
+        }
+
+        this.logDelivery(delivery);
+        return delivery;
+    }
+
+    logDelivery(delivery) {
+        this.deliveries.unshift(delivery);
+        if (this.deliveries.length > MAX_DELIVERIES) {
+            this.deliveries.length = MAX_DELIVERIES;
+        }
+    }
+
+    // Send a test event straight away, without retries
+    async test(hook) {
+        const event = {
+            type: 'test',
+            botId: 'test',
+            botName: 'MCBP',
+            data: {},
+            timestamp: new Date().toISOString()
+        };
+        return this.deliver(hook, event, { retry: false });
+    }
+
+    getDeliveries(hookId) {
+        return hookId ? this.deliveries.filter(delivery => delivery.hookId === hookId) : this.deliveries;
+    }
+}
+
+// Validate and clean a webhook from the API; returns { hook } or { error }
+function normalizeHook(input, existing = {}) {
+    const hook = {
+        id: existing.id,
+        name: String(input.name || '').trim(),
+        url: String(input.url || '').trim(),
+        enabled: input.enabled !== false,
+        events: Array.isArray(input.events) ? input.events.filter(type => EVENT_TYPES[type]) : [],
+        bots: Array.isArray(input.bots) ? input.bots.map(String) : [],
+        format: FORMATS.includes(input.format) ? input.format : 'json',
+        chatPattern: String(input.chatPattern || '').trim()
+    };
+
+    if (!hook.name) return { error: 'Name is required' };
+    if (!/^https?:\/\//i.test(hook.url)) return { error: 'URL must start with http:// or https://' };
+    if (hook.events.length === 0) return { error: 'Select at least one event' };
+    if (hook.events.includes('chat_match') && !compilePattern(hook.chatPattern)) {
+        return { error: 'Chat match needs a valid pattern' };
+    }
+
+    // An empty secret keeps the stored one unless clearSecret is set
+    if (input.secret) {
+        hook.secret = secrets.encrypt(input.secret);
+    } else if (existing.secret && !input.clearSecret) {
+        hook.secret = existing.secret;
+    }
+
+    return { hook };
+}
+
+// Copy of a webhook that is safe to send to clients
+function redactHook(hook) {
+    const { secret, pattern, ...safeHook } = hook;
+    safeHook.hasSecret = !!secret;
+    return safeHook;
+}
+
+// Create singleton instance
+const webhookManager = new WebhookManager();
+
+module.exports = {
+    EVENT_TYPES,
+    FORMATS,
+    configure: (hooks) => webhookManager.configure(hooks),
+    handleEvent: (event) => webhookManager.handleEvent(event),
+    test: (hook) => webhookManager.test(hook),
+    getDeliveries: (hookId) => webhookManager.getDeliveries(hookId),
+    normalizeHook,
+    redactHook
+};